@@ -0,0 +1,129 @@
+#!/usr/bin/env python3
+"""Write the data manifest of the search pages' data files.
+
+The loader (static/canon/js/dexie-loader.js) and the database schema
+(generateStoreSchema in dexie-shared.js) follow data-manifest.json, and a
+store is only fetched again when its file's sha256 changes. Run this after
+adding or changing any data file, and commit the manifest with the files:
+
+    python3 scripts/generate_data_manifest.py
+
+Each X_Z.json / X_Y_Z.json (one object of url_key -> record) is also written
+as X_Z.ndjson.gz: one [url_key, record] array per line, gzipped. The manifest
+lists that file, which the loader decompresses and stores as it downloads,
+and names the JSON file for browsers that cannot decompress it.
+
+--check only reports whether the manifest and the NDJSON files are up to
+date, for use before a deploy. The data directory defaults to
+static/canon/json.
+"""
+
+import argparse
+import gzip
+import hashlib
+import json
+import re
+import sys
+from pathlib import Path
+
+MANIFEST_FILE = "data-manifest.json"
+MANIFEST_FORMAT = "buddhist-texts-data"
+MANIFEST_VERSION = 1
+
+# In the order the search filters list them
+CATEGORIES = ["sutta", "vinaya", "abhidhamma", "paritta"]
+
+# X_Z.json holds root texts, X_Y_Z.json their translations into Y
+DATA_FILE_PATTERN = re.compile(
+    r"^(?P<root>[a-z]+)(?:_(?P<translation>[a-z]+))?_(?P<category>%s)\.json$"
+    % "|".join(CATEGORIES)
+)
+
+DEFAULT_DATA_DIR = Path(__file__).resolve().parent.parent / "static" / "canon" / "json"
+
+
+def ndjson_lines(json_path):
+    """The [url_key, record] lines of a data file, as NDJSON bytes."""
+    with json_path.open(encoding="utf-8") as data_file:
+        data = json.load(data_file)
+    lines = (json.dumps([url_key, record], ensure_ascii=False, separators=(",", ":"))
+             for url_key, record in data.items())
+    return "".join(line + "\n" for line in lines).encode("utf-8")
+
+
+def write_ndjson_gz(json_path, gz_path, check):
+    """Write (or with check, compare) the gzipped NDJSON form of a data file.
+    The gzip header carries no time stamp, so the same data gives the same
+    file and hash. Returns whether the file was already up to date."""
+    ndjson = ndjson_lines(json_path)
+    if gz_path.exists() and gzip.decompress(gz_path.read_bytes()) == ndjson:
+        return True
+    if not check:
+        gz_path.write_bytes(gzip.compress(ndjson, compresslevel=9, mtime=0))
+    return False
+
+
+def build_manifest(data_dir, check=False):
+    """The manifest of the data files in data_dir, and whether their NDJSON
+    files were all up to date."""
+    files = []
+    up_to_date = True
+    for path in sorted(data_dir.iterdir()):
+        match = DATA_FILE_PATTERN.match(path.name)
+        if not match:
+            continue
+        store = path.name[: -len(".json")]
+        gz_path = data_dir / f"{store}.ndjson.gz"
+        if not write_ndjson_gz(path, gz_path, check):
+            up_to_date = False
+            if check:
+                continue
+        gz_data = gz_path.read_bytes()
+        files.append({
+            "store": store,
+            "file": gz_path.name,
+            "size": len(gz_data),
+            "sha256": hashlib.sha256(gz_data).hexdigest(),
+            "root_lang": match["root"],
+            "translation_lang": match["translation"],
+            "category": match["category"],
+            "format": "ndjson",
+            "encoding": "gzip",
+            "json_file": path.name,
+        })
+
+    return up_to_date, {
+        "format": MANIFEST_FORMAT,
+        "version": MANIFEST_VERSION,
+        "root_languages": sorted({f["root_lang"] for f in files}),
+        "translation_languages": sorted({f["translation_lang"] for f in files if f["translation_lang"]}),
+        "categories": [c for c in CATEGORIES if any(f["category"] == c for f in files)],
+        "files": files,
+    }
+
+
+def main():
+    parser = argparse.ArgumentParser(description=__doc__.splitlines()[0])
+    parser.add_argument("data_dir", nargs="?", type=Path, default=DEFAULT_DATA_DIR)
+    parser.add_argument("--check", action="store_true",
+                        help="exit with an error if the manifest is out of date")
+    args = parser.parse_args()
+
+    manifest_path = args.data_dir / MANIFEST_FILE
+    ndjson_up_to_date, manifest = build_manifest(args.data_dir, args.check)
+    text = json.dumps(manifest, indent=2, ensure_ascii=False) + "\n"
+
+    if args.check:
+        current = manifest_path.read_text(encoding="utf-8") if manifest_path.exists() else None
+        if current != text or not ndjson_up_to_date:
+            print(f"{manifest_path} is out of date; run {Path(__file__).name}", file=sys.stderr)
+            return 1
+        return 0
+
+    manifest_path.write_text(text, encoding="utf-8")
+    print(f"Wrote {manifest_path}")
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
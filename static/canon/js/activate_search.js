@@ -25,7 +25,9 @@ function removeLoadingOverlay() {
 // Check if we've already loaded the database in this session
 const dbAlreadyLoaded = sessionStorage.getItem('buddhist-texts-db-loaded');
 
-// Skip loading if database was already loaded in this session
+// Skip the overlay if the database was already loaded in this session. The
+// languages of this page may still be loading: searches wait for the loader
+// either way (see render_search.js).
 if (dbAlreadyLoaded === 'true') {
     console.log('Database was already loaded in this session, skipping initialization');
     updateLoadingStatus('Using cached database');
@@ -56,6 +58,368 @@ window.addEventListener('error', function(event) {
     updateLoadingStatus('Error loading resources: ' + event.message);
 }, true); // Use capture phase
 
+// Search pages whose texts are romanized Pali or Sanskrit. Their search box
+// accepts Velthuis and Harvard-Kyoto input (see asciiToIast).
+const DIACRITIC_INPUT_LANGUAGES = ['pli', 'pra', 'san', 'root'];
+
+// Whether the search form asks for a regular expression search
+function regexSearchChecked() {
+    const regexCheckbox = document.getElementById('regex-search');
+    return Boolean(regexCheckbox && regexCheckbox.checked);
+}
+
+// Convert ASCII diacritic conventions in a search term to IAST. Regular
+// expressions are left as typed: their dots and backslashes are syntax.
+function convertDiacriticInput(searchTerm) {
+    if (typeof asciiToIast !== 'function' || !DIACRITIC_INPUT_LANGUAGES.includes(lang_code) ||
+        isRegexSearch(searchTerm, { regex: regexSearchChecked() })) {
+        return searchTerm;
+    }
+    return asciiToIast(searchTerm);
+}
+
+// Search filters: the URL parameter and form field of each, and whether it
+// is a set of checkboxes or a text field taking a comma-separated list
+const SEARCH_FILTER_FIELDS = [
+    { filter: 'canons', param: 'canon', checkboxes: true },
+    { filter: 'categories', param: 'category', checkboxes: true },
+    { filter: 'collections', param: 'collection', checkboxes: false },
+    { filter: 'authors', param: 'translator', checkboxes: false }
+];
+
+// Read the filters set in the search form (see normalizeSearchFilters)
+function readSearchFilters(form) {
+    const filters = {};
+    SEARCH_FILTER_FIELDS.forEach(({ filter, param, checkboxes }) => {
+        if (checkboxes) {
+            filters[filter] = Array.from(form.querySelectorAll(`input[name=${param}]:checked`))
+                .map(input => input.value);
+        } else {
+            const input = form.querySelector(`input[name=${param}]`);
+            filters[filter] = input ? input.value.split(',').map(value => value.trim()).filter(Boolean) : [];
+        }
+    });
+    return filters;
+}
+
+// Read the filters of a search URL
+function readUrlFilters(urlParams) {
+    const filters = {};
+    SEARCH_FILTER_FIELDS.forEach(({ filter, param }) => {
+        filters[filter] = urlParams.getAll(param);
+    });
+    return filters;
+}
+
+// Put the filters in a search URL, one parameter per value
+function setUrlFilters(url, filters) {
+    SEARCH_FILTER_FIELDS.forEach(({ filter, param }) => {
+        url.searchParams.delete(param);
+        (filters[filter] || []).forEach(value => url.searchParams.append(param, value));
+    });
+}
+
+// Show the filters of a search URL in the search form
+function setFormFilters(form, filters) {
+    let anySet = false;
+    SEARCH_FILTER_FIELDS.forEach(({ filter, param, checkboxes }) => {
+        const values = filters[filter] || [];
+        if (values.length > 0) anySet = true;
+        if (checkboxes) {
+            form.querySelectorAll(`input[name=${param}]`).forEach(input => {
+                input.checked = values.includes(input.value);
+            });
+        } else {
+            const input = form.querySelector(`input[name=${param}]`);
+            if (input) input.value = values.join(', ');
+        }
+    });
+
+    // Keep the filters in view when any are set
+    const details = document.getElementById('search-filters');
+    if (details && anySet) details.open = true;
+}
+
+// Offer the collections and translators of the loaded texts in the filter
+// fields, from the search statistics (see buildSearchStatistics)
+async function fillFilterSuggestions() {
+    const collectionList = document.getElementById('filter-collections');
+    const translatorList = document.getElementById('filter-translators');
+    if (!collectionList && !translatorList) return;
+
+    // Root pages show translations into English side by side
+    const rootPage = ROOT_LANGUAGES.includes(lang_code) || lang_code === ALL_ROOTS_LANG_CODE;
+    const translationLang = rootPage ? 'en' : lang_code;
+
+    try {
+        const db = await getSharedDatabase();
+        const statistics = await db.table(SEARCH_STATS_STORE).toArray();
+        const collections = new Set();
+        const authors = new Set();
+        statistics.forEach(({ store, collections: storeCollections = [], authors: storeAuthors = [] }) => {
+            const parts = store.split('_');
+            if (parts.length === 2 && (!rootPage || lang_code === ALL_ROOTS_LANG_CODE || parts[0] === lang_code)) {
+                storeCollections.forEach(collection => collections.add(collection));
+            }
+            if (parts.length === 3 && parts[1] === translationLang) {
+                storeCollections.forEach(collection => collections.add(collection));
+                storeAuthors.forEach(author => authors.add(author));
+            }
+        });
+
+        const fill = (list, values) => {
+            if (!list) return;
+            list.replaceChildren(...Array.from(values).sort().map(value => new Option('', value)));
+        };
+        fill(collectionList, collections);
+        fill(translatorList, authors);
+    } catch (error) {
+        console.error('Error reading the filter suggestions:', error);
+    }
+}
+
+// Search-as-you-type: the pause in typing after which the results follow the
+// search box, and the shortest term searched that way
+const LIVE_SEARCH_DELAY = 600;
+const LIVE_SEARCH_MIN_LENGTH = 3;
+// The pause after which the word being typed is completed, and the shortest
+// word completed
+const SUGGESTION_DELAY = 150;
+const SUGGESTION_MIN_LENGTH = 2;
+
+let liveSearchTimer = null;
+let suggestionTimer = null;
+// Answers to older completion requests than the latest are dropped
+let suggestionRequest = 0;
+// Index of the suggestion chosen with the arrow keys, -1 for none
+let activeSuggestion = -1;
+// The latest search dispatched from the form, to skip repeating it while typing
+let lastFormSearch = null;
+
+// Search with the options set in the form and show the search in the URL.
+// Searches run while typing (live) replace the URL instead of adding to the
+// browser history, and are marked live in the event detail so they are not
+// kept in the search history.
+function dispatchFormSearch(searchForm, searchTerm, live) {
+    const exactCheckbox = document.getElementById('diacritic-exact');
+    const exactDiacritics = Boolean(exactCheckbox && exactCheckbox.checked);
+    const combinedCheckbox = document.getElementById('combined-search');
+    const combined = Boolean(combinedCheckbox && combinedCheckbox.checked);
+    const regex = regexSearchChecked();
+    const spanCheckbox = document.getElementById('across-segments');
+    const acrossSegments = Boolean(spanCheckbox && spanCheckbox.checked);
+    const filters = readSearchFilters(searchForm);
+
+    const searchKey = JSON.stringify([searchTerm, exactDiacritics, combined, regex, acrossSegments, filters]);
+    if (live && searchKey === lastFormSearch) return;
+    lastFormSearch = searchKey;
+
+    // Update URL with search parameters without reloading
+    const url = new URL(window.location);
+    url.searchParams.set('q', searchTerm);
+    if (exactDiacritics) {
+        url.searchParams.set('exact', '1');
+    } else {
+        url.searchParams.delete('exact');
+    }
+    if (combined) {
+        url.searchParams.set('combined', '1');
+    } else {
+        url.searchParams.delete('combined');
+    }
+    if (regex) {
+        url.searchParams.set('regex', '1');
+    } else {
+        url.searchParams.delete('regex');
+    }
+    if (acrossSegments) {
+        url.searchParams.set('span', '1');
+    } else {
+        url.searchParams.delete('span');
+    }
+    setUrlFilters(url, filters);
+    if (live) {
+        window.history.replaceState({}, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
+
+    // Dispatch custom event to trigger search
+    const searchEvent = new CustomEvent('buddhist-texts-search', {
+        detail: {
+            searchTerm: searchTerm,
+            langCode: lang_code,
+            searchOptions: { exactDiacritics, combined, regex, acrossSegments, filters },
+            live: live
+        }
+    });
+    document.dispatchEvent(searchEvent);
+}
+
+// The stores whose words complete the search box: the texts this page
+// searches, within the filters set in the form
+function completionStoreNames(db, searchForm) {
+    const filters = normalizeSearchFilters(readSearchFilters(searchForm));
+    return db.tables.map(table => table.name)
+        .filter(name => {
+            const parts = name.split('_');
+            if (lang_code === ALL_ROOTS_LANG_CODE) return parts.length === 2;
+            if (ROOT_LANGUAGES.includes(lang_code)) return parts.length === 2 && parts[0] === lang_code;
+            return parts.length === 3 && parts[1] === lang_code;
+        })
+        .filter(name => storeMatchesFilters(name, filters));
+}
+
+// The word being typed at the end of the search box, read the way the
+// search reads it
+function wordBeingTyped(value) {
+    const word = value.match(/[\p{L}\p{M}\p{N}]*$/u)[0];
+    let searchWord = convertDiacriticInput(word);
+    if (typeof paliToIast === 'function' && hasPaliScript(searchWord)) {
+        searchWord = paliToIast(searchWord);
+    }
+    return { word, normalized: normalizeText(searchWord) };
+}
+
+function hideSearchSuggestions() {
+    clearTimeout(suggestionTimer);
+    suggestionRequest++;
+    const list = document.getElementById('search-suggestions');
+    const searchInput = document.getElementById('search-input');
+    if (!list || !searchInput) return;
+    list.hidden = true;
+    list.replaceChildren();
+    activeSuggestion = -1;
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.removeAttribute('aria-activedescendant');
+}
+
+// Mark the suggestion chosen with the arrow keys
+function setActiveSuggestion(index) {
+    const list = document.getElementById('search-suggestions');
+    const searchInput = document.getElementById('search-input');
+    const options = list.querySelectorAll('[role=option]');
+    activeSuggestion = index;
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+    if (index >= 0) {
+        searchInput.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Put a suggestion in place of the word being typed and search for it
+function chooseSuggestion(searchForm, suggestion) {
+    const searchInput = document.getElementById('search-input');
+    const { word } = wordBeingTyped(searchInput.value);
+    searchInput.value = searchInput.value.slice(0, searchInput.value.length - word.length) + suggestion;
+    hideSearchSuggestions();
+    searchForm.requestSubmit();
+}
+
+// List the completions of the word being typed under the search box
+async function showSearchSuggestions(searchForm) {
+    const searchInput = document.getElementById('search-input');
+    const list = document.getElementById('search-suggestions');
+    const request = ++suggestionRequest;
+
+    const { word, normalized } = wordBeingTyped(searchInput.value);
+    if (normalized.length < SUGGESTION_MIN_LENGTH) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    let suggestions;
+    try {
+        const db = await getSharedDatabase();
+        suggestions = await getSearchCompletions(db, completionStoreNames(db, searchForm), normalized);
+    } catch (error) {
+        console.error('Error completing the search term:', error);
+        return;
+    }
+    if (request !== suggestionRequest) return;
+
+    // Nothing to offer but the word as it is typed
+    if (suggestions.length === 0 || (suggestions.length === 1 && suggestions[0] === word)) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    list.replaceChildren(...suggestions.map((suggestion, i) => {
+        const option = document.createElement('li');
+        option.id = `search-suggestion-${i}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+        option.textContent = suggestion;
+        // Keep the focus in the search box
+        option.addEventListener('mousedown', event => event.preventDefault());
+        option.addEventListener('click', () => chooseSuggestion(searchForm, suggestion));
+        return option;
+    }));
+    activeSuggestion = -1;
+    list.hidden = false;
+    searchInput.setAttribute('aria-expanded', 'true');
+    searchInput.removeAttribute('aria-activedescendant');
+}
+
+// Follow the search box while typing: complete the word being typed and,
+// once typing pauses, show the results for what is typed so far
+function activateSearchAsYouType(searchForm) {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput) return;
+
+    const list = document.createElement('ul');
+    list.id = 'search-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    searchInput.after(list);
+
+    searchInput.setAttribute('role', 'combobox');
+    searchInput.setAttribute('aria-autocomplete', 'list');
+    searchInput.setAttribute('aria-controls', list.id);
+    searchInput.setAttribute('aria-expanded', 'false');
+    searchInput.setAttribute('autocomplete', 'off');
+
+    searchInput.addEventListener('input', () => {
+        clearTimeout(suggestionTimer);
+        clearTimeout(liveSearchTimer);
+        suggestionTimer = setTimeout(() => showSearchSuggestions(searchForm), SUGGESTION_DELAY);
+
+        // Regular expressions read every verse, and half-typed ones are
+        // rarely valid: they are only searched when submitted
+        const searchTerm = convertDiacriticInput(searchInput.value.trim());
+        if (searchTerm.length >= LIVE_SEARCH_MIN_LENGTH &&
+            !isRegexSearch(searchTerm, { regex: regexSearchChecked() })) {
+            liveSearchTimer = setTimeout(() => dispatchFormSearch(searchForm, searchTerm, true), LIVE_SEARCH_DELAY);
+        }
+    });
+
+    searchInput.addEventListener('keydown', event => {
+        const options = list.querySelectorAll('[role=option]');
+        if (list.hidden || options.length === 0) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            // Past either end goes back to the typed word
+            let index = activeSuggestion + step;
+            if (index < -1) index = options.length - 1;
+            if (index >= options.length) index = -1;
+            setActiveSuggestion(index);
+        } else if (event.key === 'Enter' && activeSuggestion >= 0) {
+            event.preventDefault();
+            chooseSuggestion(searchForm, options[activeSuggestion].textContent);
+        } else if (event.key === 'Escape') {
+            // Close the list rather than clearing the search box
+            event.preventDefault();
+            hideSearchSuggestions();
+        }
+    });
+
+    searchInput.addEventListener('blur', hideSearchSuggestions);
+}
+
 // Initialize form handling after DOM is fully loaded
 document.addEventListener('DOMContentLoaded', function() {
     const searchForm = document.getElementById('search-form');
@@ -66,53 +430,68 @@ document.addEventListener('DOMContentLoaded', function() {
 
             const searchInput = document.getElementById('search-input');
             if (searchInput) {
-                const searchTerm = searchInput.value.trim();
+                const searchTerm = convertDiacriticInput(searchInput.value.trim());
+                searchInput.value = searchTerm;
+                clearTimeout(liveSearchTimer);
+                hideSearchSuggestions();
 
                 if (searchTerm) {
-                    // Update URL with search parameters without reloading
-                    const url = new URL(window.location);
-                    url.searchParams.set('q', searchTerm);
-                    window.history.pushState({}, '', url);
-
-                    // Dispatch custom event to trigger search
-                    const searchEvent = new CustomEvent('buddhist-texts-search', {
-                        detail: {
-                            searchTerm: searchTerm,
-                            langCode: lang_code
-                        }
-                    });
-                    document.dispatchEvent(searchEvent);
+                    dispatchFormSearch(searchForm, searchTerm, false);
                 } else {
                     console.log("No search term provided.");
                     document.getElementById("results").innerHTML = "<p>Please enter a search term.</p>";
                 }
             }
         });
+
+        activateSearchAsYouType(searchForm);
     }
 
     // Handle initial search term if present in URL
     const urlParams = new URLSearchParams(window.location.search);
     const searchParam = urlParams.get('q');
+    const exactDiacritics = urlParams.get('exact') === '1';
+    const combined = urlParams.get('combined') === '1';
+    const regex = urlParams.get('regex') === '1';
+    const acrossSegments = urlParams.get('span') === '1';
+    const filters = readUrlFilters(urlParams);
+
+    const exactCheckbox = document.getElementById('diacritic-exact');
+    if (exactCheckbox) {
+        exactCheckbox.checked = exactDiacritics;
+    }
+    const combinedCheckbox = document.getElementById('combined-search');
+    if (combinedCheckbox) {
+        combinedCheckbox.checked = combined;
+    }
+    const regexCheckbox = document.getElementById('regex-search');
+    if (regexCheckbox) {
+        regexCheckbox.checked = regex;
+    }
+    const spanCheckbox = document.getElementById('across-segments');
+    if (spanCheckbox) {
+        spanCheckbox.checked = acrossSegments;
+    }
+    if (searchForm) {
+        setFormFilters(searchForm, filters);
+    }
+
+    document.addEventListener('buddhist-texts-loaded', fillFilterSuggestions);
 
     if (searchParam && searchParam.trim() !== '') {
-        // Wait for database to be ready before searching
-        const checkDatabaseAndSearch = function() {
-            if (sessionStorage.getItem('buddhist-texts-db-loaded') === 'true') {
-                // Dispatch search event after short delay to ensure scripts are loaded
-                setTimeout(() => {
-                    document.dispatchEvent(new CustomEvent('buddhist-texts-search', {
-                        detail: {
-                            searchTerm: searchParam.trim(),
-                            langCode: lang_code
-                        }
-                    }));
-                }, 100);
-            } else {
-                // Check again after a short delay
-                setTimeout(checkDatabaseAndSearch, 100);
-            }
-        };
+        const searchTerm = convertDiacriticInput(searchParam.trim());
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) {
+            searchInput.value = searchTerm;
+        }
 
-        checkDatabaseAndSearch();
+        // The search waits for this page's texts (see render_search.js)
+        document.dispatchEvent(new CustomEvent('buddhist-texts-search', {
+            detail: {
+                searchTerm: searchTerm,
+                langCode: lang_code,
+                searchOptions: { exactDiacritics, combined, regex, acrossSegments, filters }
+            }
+        }));
     }
 });
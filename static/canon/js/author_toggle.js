@@ -20,4 +20,93 @@ toggles.forEach(toggle => {
     localStorage.setItem(`translator-${translatorCode}`, this.checked);
   });
 });
+
+// Arriving from a search result (?author=sujato&q=...#mn1:3.1): show the
+// translator that matched, without saving it as a preference, then scroll
+// to the verse and mark the searched words in it
+const params = new URLSearchParams(window.location.search);
+const matchedAuthor = params.get('author');
+if (matchedAuthor) {
+  const toggle = document.getElementById(`toggle-${matchedAuthor}`);
+  if (toggle) {
+    toggle.checked = true;
+  }
+}
+
+const verseId = decodeURIComponent(window.location.hash.slice(1));
+const verse = verseId ? document.getElementById(verseId) : null;
+if (verse && verse.classList.contains('verse-container')) {
+  verse.classList.add('search-target');
+  highlightSearchWords(verse, searchWords(params.get('q') || ''));
+  verse.scrollIntoView({ block: 'center' });
+}
 });
+
+// The words of a search box query worth marking: excluded terms, OR, NEAR
+// and the quote and prefix marks are left out
+function searchWords(query) {
+  return query
+    .replace(/(^|\s)-("[^"]*"|\S+)/g, ' ')
+    .replace(/["*]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word !== '' && word !== 'OR' && !/^NEAR(\/\d+)?$/.test(word))
+    .filter(word => word.length > 1 || /[぀-ヿ㐀-鿿]/.test(word));
+}
+
+// Fold text for matching the way the search does: without diacritics and
+// case. Returns the folded text and, for each of its characters, the
+// position of the character it came from.
+function foldForSearch(text) {
+  let folded = '';
+  const positions = [];
+  Array.from(text).reduce((position, char) => {
+    const foldedChar = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    for (let i = 0; i < foldedChar.length; i++) {
+      folded += foldedChar[i];
+      positions.push(position);
+    }
+    return position + char.length;
+  }, 0);
+  positions.push(text.length);
+  return { folded, positions };
+}
+
+// Wrap each occurrence of the words in the element's text in <mark>
+function highlightSearchWords(element, words) {
+  if (words.length === 0) return;
+  const foldedWords = words.map(word => foldForSearch(word).folded);
+
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach(node => {
+    const text = node.textContent;
+    const { folded, positions } = foldForSearch(text);
+
+    // Matched ranges in the original text, first match wins where they overlap
+    const ranges = [];
+    foldedWords.forEach(word => {
+      let index = folded.indexOf(word);
+      while (index !== -1) {
+        ranges.push([positions[index], positions[index + word.length]]);
+        index = folded.indexOf(word, index + word.length);
+      }
+    });
+    if (ranges.length === 0) return;
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+      if (start < last) return;
+      fragment.append(text.slice(last, start));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(start, end);
+      fragment.append(mark);
+      last = end;
+    });
+    fragment.append(text.slice(last));
+    node.replaceWith(fragment);
+  });
+}
@@ -0,0 +1,216 @@
+// Combined root + translation search (X_Z and X_Y_Z stores together)
+// Requires dexie.js, dexie-shared.js, dexie-search.js and dexie-root-search.js
+// to be loaded first
+
+/**
+ * Searches root texts and their translations into one language together, and
+ * joins the hits by segment: each result is one verse of one text, with the
+ * root line and every translator's line for it, whichever of them matched.
+ *
+ * @param {string} searchTerm - The term to search for, in search box syntax (see parseSearchQuery).
+ * @param {string} langCode - A translation language (e.g. "en"), searched with
+ *   the roots it translates; or a root language code, or "root", searched with
+ *   its translations into options.translationLang.
+ * @param {Object} [options] - Passed on to rootLanguageSearch and languageAwareSearch.
+ * @param {string} [options.translationLang="en"] - Translation language for a root langCode.
+ *   options.onBatch is not called: segments are only complete once both sides are searched.
+ * @returns {Promise<Array>} - List of segments: { url_key, verseindex, store,
+ *   verse, normalized_verse, rootMatched, translations: [{ author, verse,
+ *   store, matched }], score }. verse is null when the root text is not loaded.
+ *   A match across consecutive verses (options.acrossSegments) has segments,
+ *   their verse indexes, and its lines are those verses joined.
+ */
+async function combinedSearch(searchTerm, langCode, options = {}) {
+    try {
+        const db = await getSharedDatabase();
+
+        const isRoot = ROOT_LANGUAGES.includes(langCode) || langCode === ALL_ROOTS_LANG_CODE;
+        const rootLang = isRoot ? langCode : ALL_ROOTS_LANG_CODE;
+        const translationLang = isRoot ? (options.translationLang || 'en') : langCode;
+        const includesRoot = storeName => rootLang === ALL_ROOTS_LANG_CODE ||
+            storeName.split('_')[0] === rootLang;
+
+        const searchRoots = (term, correctMisspellings) =>
+            rootLanguageSearch(term, rootLang, { ...options, onBatch: null, correctMisspellings });
+        const searchTranslations = (term, correctMisspellings) =>
+            languageAwareSearch(term, translationLang, { ...options, onBatch: null, correctMisspellings })
+                .then(results => results.filter(result => includesRoot(result.store)));
+
+        // Misspellings are only corrected when neither side finds anything,
+        // or a word found in the translations would be "corrected" in the roots
+        let [rootResults, translationResults] = await Promise.all([
+            searchRoots(searchTerm, false),
+            searchTranslations(searchTerm, false)
+        ]);
+
+        // Correct the query in the language of the page, then search the
+        // other side for the same corrected words
+        if (rootResults.length === 0 && translationResults.length === 0) {
+            if (isRoot) {
+                rootResults = await searchRoots(searchTerm, true);
+            } else {
+                translationResults = await searchTranslations(searchTerm, true);
+            }
+            const suggestion = options.searchInfo && options.searchInfo.suggestion;
+            if (suggestion) {
+                if (isRoot) {
+                    translationResults = await searchTranslations(suggestion, false);
+                } else {
+                    rootResults = await searchRoots(suggestion, false);
+                }
+            }
+        }
+
+        // One segment per root store, url_key and verse
+        const segments = new Map();
+        const segmentFor = (rootStore, urlKey, verseIndex) => {
+            const key = `${rootStore}\u0000${urlKey}\u0000${verseIndex}`;
+            if (!segments.has(key)) {
+                segments.set(key, {
+                    url_key: urlKey,
+                    verseindex: verseIndex,
+                    store: rootStore,
+                    verse: null,
+                    normalized_verse: null,
+                    rootMatched: false,
+                    translations: [],
+                    score: Infinity
+                });
+            }
+            return segments.get(key);
+        };
+        // A segment spans the most verses either side matched over
+        const widen = (segment, result) => {
+            if (result.segments && (!segment.segments || result.segments.length > segment.segments.length)) {
+                segment.segments = result.segments;
+            }
+        };
+
+        rootResults.forEach(result => {
+            const segment = segmentFor(result.store, result.url_key, result.verseindex);
+            segment.verse = result.verse;
+            segment.normalized_verse = result.normalized_verse;
+            segment.rootMatched = true;
+            segment.score = Math.min(segment.score, result.score);
+            widen(segment, result);
+        });
+
+        translationResults.forEach(result => {
+            const parts = result.store.split('_');
+            const rootStore = `${parts[0]}_${parts[2]}`;
+            const segment = segmentFor(rootStore, result.url_key, result.verseindex);
+            segment.translations.push({
+                author: result.author,
+                verse: result.verse,
+                store: result.store,
+                matched: true
+            });
+            segment.score = Math.min(segment.score, result.score);
+            widen(segment, result);
+        });
+
+        await addOtherSides(db, Array.from(segments.values()), translationLang,
+            normalizeSearchFilters(options.filters), options.signal);
+
+        return Array.from(segments.values()).sort((a, b) => a.score - b.score);
+
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error("Combined search failed:", error);
+        return [];
+    }
+}
+
+/**
+ * Fill in the lines that did not match: the root verse of segments found in
+ * a translation, and the other translators' verses of every segment. A
+ * segment spanning several verses gets those verses joined.
+ * @param {Dexie} db
+ * @param {Array} segments - From combinedSearch, changed in place
+ * @param {string} translationLang
+ * @param {Object|null} filters - From normalizeSearchFilters; only the
+ *   filtered translators are added
+ * @param {AbortSignal} [signal]
+ */
+async function addOtherSides(db, segments, translationLang, filters, signal) {
+    const storeNames = new Set(db.tables.map(table => table.name));
+
+    // Read each record once, however many of its verses matched
+    const segmentsByStore = new Map();
+    segments.forEach(segment => {
+        if (!segmentsByStore.has(segment.store)) segmentsByStore.set(segment.store, []);
+        segmentsByStore.get(segment.store).push(segment);
+    });
+
+    for (const [rootStore, storeSegments] of segmentsByStore) {
+        if (signal) signal.throwIfAborted();
+
+        const [rootLang, category] = rootStore.split('_');
+        const translationStore = `${rootLang}_${translationLang}_${category}`;
+        const urlKeys = Array.from(new Set(storeSegments.map(segment => segment.url_key))).sort();
+
+        try {
+            const rootRecords = storeNames.has(rootStore)
+                ? await db.table(rootStore).bulkGet(urlKeys)
+                : [];
+            const translationRecords = storeNames.has(translationStore)
+                ? await db.table(translationStore).bulkGet(urlKeys)
+                : [];
+
+            storeSegments.forEach(segment => {
+                const i = urlKeys.indexOf(segment.url_key);
+                const verseIndexes = segment.segments || [segment.verseindex];
+
+                const rootRecord = rootRecords[i];
+                const rootVerse = rootRecord && joinVerses(rootRecord.root, verseIndexes);
+                // A side that matched fewer verses than the segment spans shows them all
+                if ((segment.verse === null || segment.segments) && rootVerse) {
+                    segment.verse = rootVerse;
+                    segment.normalized_verse = normalizeText(rootVerse);
+                }
+
+                const translationRecord = translationRecords[i];
+                if (!translationRecord || !translationRecord.texts) return;
+                for (const author in translationRecord.texts) {
+                    if (!authorMatchesFilters(author, filters)) continue;
+
+                    const verse = joinVerses(translationRecord.texts[author], verseIndexes);
+                    if (!verse) continue;
+                    const matched = segment.translations.find(translation => translation.author === author);
+                    if (matched) {
+                        matched.verse = verse;
+                        continue;
+                    }
+                    segment.translations.push({
+                        author: author,
+                        verse: verse,
+                        store: translationStore,
+                        matched: false
+                    });
+                }
+            });
+        } catch (error) {
+            console.error(`Error reading ${rootStore} and ${translationStore}:`, error);
+        }
+    }
+}
+
+/**
+ * The text of some verses of one text, joined by a space as matchTextVerses
+ * joins them.
+ * @param {Object} [verses] - verseIndex -> {verse}
+ * @param {string[]} verseIndexes
+ * @returns {string|null} null when none of the verses is there
+ */
+function joinVerses(verses, verseIndexes) {
+    if (!verses) return null;
+    const texts = verseIndexes
+        .map(verseIndex => verses[verseIndex])
+        .filter(verseObj => verseObj && typeof verseObj.verse === 'string')
+        .map(verseObj => verseIndexes.length > 1 ? verseObj.verse.trim() : verseObj.verse);
+    return texts.length > 0 ? texts.join(' ') : null;
+}
+
+// Make the function available globally (self is window on the page and the
+// worker global scope in search-worker.js)
+self.combinedSearch = combinedSearch;
@@ -9,83 +9,111 @@
         });
     }
 
-    // Check if data has already been loaded for current version
-    const loadedVersion = localStorage.getItem('buddhistTextsLoadedVersion');
-    if (loadedVersion === DEXIE_DB_VERSION.toString()) {
-        console.log(`Buddhist texts already loaded for version ${DEXIE_DB_VERSION}. Skipping data loading.`);
-        dispatchLoadedEvent(0, 0, 0);
-        return;
-    }
-
-    // Flag to determine if loading is needed
-    const needsLoading = localStorage.getItem('buddhistTextsLoaded') !== 'true';
+    // Every visit compares the stored texts with the data manifest: stores
+    // of the languages this page searches (see searchPageLanguages) never
+    // loaded are loaded at once, and stores
+    // whose file has changed since are replaced in the background (see
+    // processFile). Other languages are only loaded when kept offline (see
+    // offline-languages.js). Files that fail to download are tried again
+    // after growing delays, then offered for retrying (see loadFile).
 
     console.log("Buddhist texts Dexie.js loader initializing...");
 
     // Check if Dexie is available
     if (typeof Dexie === 'undefined') {
         console.error("Error: Dexie library not loaded. Please make sure Dexie is loaded before this script.");
+        dispatchLoadedEvent(0, 0, 0);
         return;
     }
 
-    // Determine base URL for JSON files
-    let baseUrl = typeof json_data_root !== 'undefined' ? json_data_root : '/static/canon/json/';
-    if (!baseUrl.endsWith('/')) baseUrl += '/';
-
-    // Create arrays to track all possible files
+    // The data files to load, as listed in the data manifest
     let allFiles = [];
-
-    // Add root language files (X_Z.json)
-    ROOT_LANGUAGES.forEach(rootLang => {
-        TEXT_CATEGORIES.forEach(category => {
-            if (!isValidCombination(rootLang, category)) return;
-
-            allFiles.push({
-                filename: `${rootLang}_${category}`,
-                url: `${baseUrl}${rootLang}_${category}.json`,
-                isRoot: true,
-                rootLang: rootLang,
-                category: category
-            });
-        });
-    });
-
-    // Add translation files (X_Y_Z.json)
-    ROOT_LANGUAGES.forEach(rootLang => {
-        TRANSLATION_LANGUAGES.forEach(transLang => {
-            TEXT_CATEGORIES.forEach(category => {
-                if (!isValidCombination(rootLang, category)) return;
-
-                allFiles.push({
-                    filename: `${rootLang}_${transLang}_${category}`,
-                    url: `${baseUrl}${rootLang}_${transLang}_${category}.json`,
-                    isRoot: false,
-                    rootLang: rootLang,
-                    transLang: transLang,
-                    category: category
-                });
-            });
-        });
-    });
-
-    const totalFiles = allFiles.length;
+    // Loaded files that have changed since, to fetch again after the others
+    const changedFiles = [];
+    // Files that could not be loaded, and whether they replace a store
+    const failedFiles = [];
+    let totalFiles = 0;
     let processedCount = 0;
     let successfulLoads = 0;
     let failedLoads = 0;
+    let missingLoads = 0;
+    // The files the progress window counts while it is open: the page's
+    // languages, or the failed files tried again
+    let progressStart = 0;
+    let progressTotal = 0;
 
     // Number of concurrent fetches
     const CONCURRENCY = 4;
+    // Records written to a store at a time, with their index postings, so a
+    // file's texts and index are not all held in memory while they are stored
+    const STORE_CHUNK_SIZE = 200;
+    // DecompressionStream formats of the data manifest's encodings
+    const DECOMPRESSION_FORMATS = { gzip: 'gzip', br: 'brotli' };
+    // Attempts at a file before it counts as failed, and the delay before
+    // the second one, doubled before each further one
+    const LOAD_ATTEMPTS = 4;
+    const RETRY_DELAY = 1000;
+
+    // Whether this browser can decompress a data file's encoding itself
+    function canDecompress(encoding) {
+        if (!encoding) return true;
+        try {
+            new DecompressionStream(DECOMPRESSION_FORMATS[encoding]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
 
     try {
         // Get current language from the page if available
         const currentLanguage = lang_code;
         console.log("Current language:", currentLanguage);
 
-        // Use the shared database instance
-        const db = getSharedDatabase();
+        const manifest = await loadDataManifest();
+        const baseUrl = dataRootUrl();
+        allFiles = manifest.files.map(file => {
+            // Browsers that cannot decompress a file fetch its plain JSON
+            // form. The hash stays the compressed file's: both change together.
+            const plain = !canDecompress(file.encoding) && file.json_file;
+            return {
+                filename: file.store,
+                url: `${baseUrl}${plain ? file.json_file : file.file}`,
+                isRoot: file.translation_lang === null,
+                rootLang: file.root_lang,
+                transLang: file.translation_lang,
+                category: file.category,
+                language: dataFileLanguage(file),
+                size: file.size,
+                sha256: file.sha256,
+                format: plain ? 'json' : file.format || 'json',
+                encoding: plain ? null : file.encoding || null
+            };
+        });
+        const filesOf = language => allFiles.filter(fileInfo => fileInfo.language === language);
+
+        // The languages this page searches, with the other side of its
+        // side-by-side search
+        const pageLanguages = searchPageLanguages(manifest, lang_code,
+            Boolean(document.getElementById('combined-search')));
+        const pageFiles = allFiles.filter(fileInfo => pageLanguages.includes(fileInfo.language));
+        totalFiles = pageFiles.length;
+        progressTotal = totalFiles;
+
+        // Use the shared database instance, with a store for each file
+        const db = await getSharedDatabase();
         console.log("Dexie database opened successfully.");
 
-        // If ProgressWindow is available and loading is needed, create it
+        // Content hash of the file each store was loaded from
+        const loadedHashes = new Map(
+            (await db[DATA_FILES_STORE].toArray()).map(({ store, sha256 }) => [store, sha256]));
+        // How the last attempt to load each store went
+        const loadStatuses = new Map(
+            (await db[LOAD_STATUS_STORE].toArray()).map(row => [row.store, row]));
+
+        // If ProgressWindow is available and stores this page searches were
+        // never loaded, create it
+        const needsLoading = pageFiles.some(fileInfo => !loadedHashes.has(fileInfo.filename));
         if (typeof ProgressWindow !== 'undefined' && needsLoading) {
             ProgressWindow.create(totalFiles);
             document.body.classList.add('loading-database');
@@ -104,9 +132,9 @@
         }
 
         // Add normalized_verse to each verse object for faster searching later
-        function addNormalizedVerses(data, isRoot) {
-            for (const textPath of Object.keys(data)) {
-                const record = data[textPath];
+        function addNormalizedVerses(records, isRoot) {
+            for (const [, record] of records) {
+                if (!record) continue;
                 if (isRoot && record.root) {
                     for (const verseIndex in record.root) {
                         const verseObj = record.root[verseIndex];
@@ -129,52 +157,374 @@
             }
         }
 
-        // Store data in IndexedDB with normalized verses
-        async function storeData(fileInfo, data) {
+        // Check if the token index has entries for a store
+        async function storeHasSearchIndex(storeName) {
             try {
-                const storeName = fileInfo.filename;
+                const count = await db[SEARCH_INDEX_STORE]
+                    .where('[store+term]')
+                    .between([storeName, Dexie.minKey], [storeName, Dexie.maxKey])
+                    .count();
+                return count > 0;
+            } catch (error) {
+                console.error(`Error checking search index for ${storeName}:`, error);
+                return false;
+            }
+        }
 
-                if (!db[storeName]) {
-                    console.warn(`Table ${storeName} doesn't exist. Skipping.`);
-                    return;
+        // Collect term -> postings for the token index from records that
+        // already carry normalized_verse. One posting per verse and author,
+        // however often the term occurs in it. A store read in chunks adds
+        // each chunk to the same map.
+        function collectSearchPostings(records, postingsByTerm = new Map()) {
+            function addVerse(urlKey, verseIndex, author, verseObj) {
+                if (!verseObj || typeof verseObj.normalized_verse !== 'string') return;
+                const terms = new Set(tokenizeText(verseObj.normalized_verse));
+                terms.forEach(term => {
+                    if (!postingsByTerm.has(term)) postingsByTerm.set(term, []);
+                    const posting = { url_key: urlKey, verseindex: verseIndex };
+                    if (author) posting.author = author;
+                    postingsByTerm.get(term).push(posting);
+                });
+            }
+
+            for (const [urlKey, record] of records) {
+                if (!record) continue;
+                if (record.root) {
+                    for (const verseIndex in record.root) {
+                        addVerse(urlKey, verseIndex, null, record.root[verseIndex]);
+                    }
                 }
+                if (record.texts) {
+                    for (const author in record.texts) {
+                        const translation = record.texts[author];
+                        for (const verseIndex in translation) {
+                            addVerse(urlKey, verseIndex, author, translation[verseIndex]);
+                        }
+                    }
+                }
+            }
 
-                // Add normalized verses at load time
-                addNormalizedVerses(data, fileInfo.isRoot);
+            return postingsByTerm;
+        }
 
-                await db.transaction('rw', db[storeName], async () => {
-                    for (const textPath of Object.keys(data)) {
-                        await db[storeName].put(data[textPath], textPath);
-                    }
-                });
+        // Index range of all of a store's terms
+        function indexRange(indexName) {
+            return db[SEARCH_INDEX_STORE]
+                .where('[store+term]')
+                .between([indexName, Dexie.minKey], [indexName, Dexie.maxKey]);
+        }
+
+        // Add a chunk's postings to the store's staged index rows (see
+        // stagedIndexName), after the postings of the chunks before it
+        async function stageSearchPostings(storeName, postingsByTerm) {
+            const staged = stagedIndexName(storeName);
+            const terms = Array.from(postingsByTerm.keys());
+            await db.transaction('rw', db[SEARCH_INDEX_STORE], async () => {
+                const rows = await db[SEARCH_INDEX_STORE].bulkGet(terms.map(term => [staged, term]));
+                await db[SEARCH_INDEX_STORE].bulkPut(terms.map((term, i) => ({
+                    store: staged,
+                    term: term,
+                    postings: rows[i] ? rows[i].postings.concat(postingsByTerm.get(term)) : postingsByTerm.get(term)
+                })));
+            });
+        }
 
-                console.log(`Successfully stored data for ${storeName}`);
-                successfulLoads++;
+        // Replace a store's index with its staged rows, a chunk of rows at a
+        // time. Called within the transaction that completes the store.
+        async function moveStagedIndex(storeName) {
+            const staged = stagedIndexName(storeName);
+            await indexRange(storeName).delete();
+            while (true) {
+                const rows = await indexRange(staged).limit(STORE_CHUNK_SIZE).toArray();
+                if (rows.length === 0) break;
+                await db[SEARCH_INDEX_STORE].bulkPut(rows.map(row => ({ ...row, store: storeName })));
+                await db[SEARCH_INDEX_STORE].bulkDelete(rows.map(row => [staged, row.term]));
+            }
+        }
+
+        // Check if the ranking statistics have been gathered for a store
+        async function storeHasSearchStatistics(storeName) {
+            try {
+                return (await db[SEARCH_STATS_STORE].get(storeName)) !== undefined;
             } catch (error) {
-                console.error(`Error storing data for ${fileInfo.filename}:`, error);
-                failedLoads++;
+                console.error(`Error checking search statistics for ${storeName}:`, error);
+                return false;
             }
         }
 
-        // Fetch JSON data
-        async function fetchData(url) {
+        // Count the verses (one per author) and their tokens, for ranking
+        // (see scoreAndSortResults). Counted like the index postings.
+        // The collections (url_key without the text's own name) and
+        // translators are listed for the search filters. Like the postings,
+        // the counts of a store read in chunks add up.
+        function collectSearchStatistics(records, counts = {
+            verseCount: 0, tokenCount: 0, collections: new Set(), authors: new Set()
+        }) {
+            function addVerse(verseObj) {
+                if (!verseObj || typeof verseObj.normalized_verse !== 'string') return;
+                counts.verseCount++;
+                counts.tokenCount += tokenizeText(verseObj.normalized_verse).length;
+            }
+
+            for (const [urlKey, record] of records) {
+                if (!record) continue;
+                counts.collections.add(urlKey.split('/').slice(0, -1).join('/'));
+                if (record.root) {
+                    Object.values(record.root).forEach(addVerse);
+                }
+                if (record.texts) {
+                    Object.entries(record.texts).forEach(([author, translation]) => {
+                        counts.authors.add(author);
+                        Object.values(translation).forEach(addVerse);
+                    });
+                }
+            }
+
+            return counts;
+        }
+
+        // The ranking statistics row of a store's collected counts
+        function searchStatistics(storeName, counts) {
+            return {
+                store: storeName,
+                verseCount: counts.verseCount,
+                tokenCount: counts.tokenCount,
+                collections: Array.from(counts.collections).sort(),
+                authors: Array.from(counts.authors).sort()
+            };
+        }
+
+        // Build the token index and ranking statistics for a store loaded
+        // before they existed, reading its records a chunk at a time like
+        // storeData. An index still in place is not rebuilt.
+        async function indexStoredData(storeName, hasIndex = false) {
             try {
-                const response = await fetch(url);
-                if (response.status === 404) return null;
-                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-                return await response.json();
+                const counts = collectSearchStatistics([]);
+                const urlKeys = await db[storeName].toCollection().primaryKeys();
+                await indexRange(stagedIndexName(storeName)).delete();
+                for (let start = 0; start < urlKeys.length; start += STORE_CHUNK_SIZE) {
+                    const keys = urlKeys.slice(start, start + STORE_CHUNK_SIZE);
+                    const records = await db[storeName].bulkGet(keys);
+                    const chunk = keys.map((urlKey, i) => [urlKey, records[i]]);
+                    if (!hasIndex) await stageSearchPostings(storeName, collectSearchPostings(chunk));
+                    collectSearchStatistics(chunk, counts);
+                }
+                await db.transaction('rw', db[SEARCH_INDEX_STORE], db[SEARCH_STATS_STORE], async () => {
+                    if (!hasIndex) await moveStagedIndex(storeName);
+                    await db[SEARCH_STATS_STORE].put(searchStatistics(storeName, counts));
+                });
+                if (hasIndex) {
+                    console.log(`Rebuilt search statistics for ${storeName}`);
+                } else {
+                    console.log(`Built search index for ${storeName}`);
+                }
             } catch (error) {
-                console.error(`Error fetching ${url}:`, error);
-                return null;
+                console.error(`Error building search index for ${storeName}:`, error);
+            }
+        }
+
+        // Store a file's records in IndexedDB with normalized verses, a
+        // chunk at a time as they are read. Each chunk's index postings are
+        // added to the store's staged index rows (see stagedIndexName); only
+        // the statistics are kept for the whole file. The staged rows
+        // replace the store's index, with the statistics and the file's hash,
+        // once every record is stored, so a store left half written keeps its
+        // old index and is loaded again on the next visit (see processFile).
+        // A changed store keeps its texts while it is replaced: its records
+        // are overwritten chunk by chunk, and the texts the file no longer has
+        // are removed in the transaction that swaps in the new index. Errors
+        // are thrown to loadFile.
+        async function storeData(fileInfo, records, replace = false) {
+            const storeName = fileInfo.filename;
+
+            if (!db[storeName]) {
+                console.warn(`Table ${storeName} doesn't exist. Skipping.`);
+                return false;
+            }
+
+            const counts = collectSearchStatistics([]);
+            const urlKeys = new Set();
+            let chunk = [];
+
+            // Rows staged by an attempt that broke off
+            await indexRange(stagedIndexName(storeName)).delete();
+
+            async function writeChunk() {
+                // Add normalized verses at load time
+                addNormalizedVerses(chunk, fileInfo.isRoot);
+                collectSearchStatistics(chunk, counts);
+                await db[storeName].bulkPut(
+                    chunk.map(([, record]) => record),
+                    chunk.map(([textPath]) => textPath));
+                await stageSearchPostings(storeName, collectSearchPostings(chunk));
+                chunk = [];
+            }
+
+            for await (const [textPath, record] of records) {
+                urlKeys.add(textPath);
+                chunk.push([textPath, record]);
+                if (chunk.length >= STORE_CHUNK_SIZE) await writeChunk();
+            }
+            if (chunk.length > 0) await writeChunk();
+
+            const tables = [db[storeName], db[SEARCH_INDEX_STORE], db[SEARCH_STATS_STORE], db[DATA_FILES_STORE]];
+            await db.transaction('rw', tables, async () => {
+                if (replace) {
+                    const storedKeys = await db[storeName].toCollection().primaryKeys();
+                    await db[storeName].bulkDelete(storedKeys.filter(key => !urlKeys.has(key)));
+                }
+                await moveStagedIndex(storeName);
+                await db[SEARCH_STATS_STORE].put(searchStatistics(storeName, counts));
+                await db[DATA_FILES_STORE].put({ store: storeName, sha256: fileInfo.sha256, size: fileInfo.size });
+            });
+
+            console.log(`Successfully stored data for ${storeName}`);
+            return true;
+        }
+
+        // Fetch a data file. The URL names the file's content hash, so a
+        // changed file is not served from the service worker's cache.
+        // Returns null when the file is not on the server; other HTTP errors
+        // are thrown with their status.
+        async function fetchData(fileInfo) {
+            const response = await fetch(`${fileInfo.url}?v=${fileInfo.sha256}`);
+            if (response.status === 404) return null;
+            if (!response.ok) {
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return response;
+        }
+
+        // Whether trying again may help: the connection failed or broke off
+        // (a TypeError from fetch or the response body), or the server was
+        // busy, timed out or failed. Other errors come back every time.
+        function isTransientError(error) {
+            if (error.status) {
+                return error.status === 408 || error.status === 429 || error.status >= 500;
+            }
+            return error.name === 'TypeError';
+        }
+
+        // Note how loading a store went, for the next visit
+        async function recordLoadStatus(fileInfo, status, attempts, error = null) {
+            const row = {
+                store: fileInfo.filename,
+                sha256: fileInfo.sha256,
+                status: status,
+                attempts: attempts,
+                error: error ? String(error.message || error) : null,
+                timestamp: Date.now()
+            };
+            loadStatuses.set(row.store, row);
+            try {
+                await db[LOAD_STATUS_STORE].put(row);
+            } catch (statusError) {
+                console.error(`Error saving the load status of ${row.store}:`, statusError);
+            }
+        }
+
+        // Fetch and store a data file. A transient failure (see
+        // isTransientError) is tried again after RETRY_DELAY, doubled each
+        // time, up to LOAD_ATTEMPTS; a file not on the server is noted as
+        // missing and not asked for again until it changes. A store left half
+        // written is written again on the next attempt.
+        // Returns whether the file was stored.
+        async function loadFile(fileInfo, replace = false) {
+            for (let attempts = 1; ; attempts++) {
+                try {
+                    const response = await fetchData(fileInfo);
+                    if (response === null) {
+                        console.log(`${fileInfo.url} is not on the server. This may be expected for some combinations.`);
+                        missingLoads++;
+                        await recordLoadStatus(fileInfo, 'missing', attempts);
+                        return false;
+                    }
+                    if (!await storeData(fileInfo, readDataRecords(fileInfo, response), replace)) {
+                        return false;
+                    }
+                    successfulLoads++;
+                    await recordLoadStatus(fileInfo, 'loaded', attempts);
+                    return true;
+                } catch (error) {
+                    if (attempts < LOAD_ATTEMPTS && isTransientError(error)) {
+                        const delay = RETRY_DELAY * 2 ** (attempts - 1);
+                        console.warn(`Loading ${fileInfo.url} failed (${error.message}). Trying again in ${delay / 1000}s.`);
+                        await new Promise(resolve => setTimeout(resolve, delay));
+                        continue;
+                    }
+                    console.error(`Error loading ${fileInfo.url}:`, error);
+                    failedLoads++;
+                    failedFiles.push({ fileInfo, replace });
+                    await recordLoadStatus(fileInfo, 'failed', attempts, error);
+                    return false;
+                }
+            }
+        }
+
+        // Split a stream of text into lines as it arrives
+        async function* readLines(stream) {
+            const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+            let buffered = '';
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffered += value;
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                yield* lines;
+            }
+            if (buffered) yield buffered;
+        }
+
+        // Read the [url_key, record] pairs of a fetched data file, after
+        // decompressing it. An NDJSON file is parsed a line at a time as it
+        // downloads; a JSON file is parsed whole, and each record let go of
+        // once it is handed on.
+        async function* readDataRecords(fileInfo, response) {
+            let body = response.body;
+
+            // A server may send a compressed file with a Content-Encoding
+            // the browser has already decoded
+            const contentEncoding = response.headers.get('Content-Encoding');
+            if (fileInfo.encoding && contentEncoding !== fileInfo.encoding) {
+                const format = DECOMPRESSION_FORMATS[fileInfo.encoding];
+                let decompression;
+                try {
+                    decompression = new DecompressionStream(format);
+                } catch (error) {
+                    throw new Error(`This browser cannot decompress ${fileInfo.encoding} files`);
+                }
+                body = body.pipeThrough(decompression);
+            }
+
+            if (fileInfo.format === 'ndjson') {
+                for await (const line of readLines(body)) {
+                    if (!line.trim()) continue;
+                    const entry = JSON.parse(line);
+                    if (!Array.isArray(entry) || typeof entry[0] !== 'string') {
+                        throw new Error(`${fileInfo.url} has a line that is not a [url_key, record] pair`);
+                    }
+                    yield entry;
+                }
+                return;
+            }
+
+            const data = await new Response(body).json();
+            for (const textPath of Object.keys(data)) {
+                const record = data[textPath];
+                delete data[textPath];
+                yield [textPath, record];
             }
         }
 
         // Update progress window
         function updateProgress() {
-            if (typeof ProgressWindow !== 'undefined') {
-                ProgressWindow.update(processedCount, totalFiles);
+            if (typeof ProgressWindow !== 'undefined' && progressTotal > 0) {
+                ProgressWindow.update(processedCount - progressStart, progressTotal);
             }
-            console.log(`Progress: ${processedCount}/${totalFiles} (${successfulLoads} loaded, ${failedLoads} failed)`);
+            console.log(`Progress: ${processedCount}/${totalFiles} (${successfulLoads} loaded, ${failedLoads} failed, ${missingLoads} missing)`);
         }
 
         // Process a single file
@@ -182,57 +532,215 @@
             const storeName = fileInfo.filename;
 
             const hasData = await storeHasData(storeName);
+            if (loadedHashes.get(storeName) === fileInfo.sha256) {
+                let reindexed = false;
+                if (hasData) {
+                    const hasIndex = await storeHasSearchIndex(storeName);
+                    if (!hasIndex || !(await storeHasSearchStatistics(storeName))) {
+                        await indexStoredData(storeName, hasIndex);
+                        reindexed = true;
+                    }
+                }
+                console.log(`${storeName} is up to date. Skipping.`);
+                processedCount++;
+                updateProgress();
+                return reindexed;
+            }
+
+            // Searches keep using the stored texts until they are replaced
             if (hasData) {
-                console.log(`${storeName} already has data. Skipping.`);
+                console.log(`${storeName} has changed. Updating it in the background.`);
+                changedFiles.push(fileInfo);
                 processedCount++;
                 updateProgress();
                 return;
             }
 
-            console.log(`Processing ${fileInfo.url}...`);
-            const data = await fetchData(fileInfo.url);
-
-            if (data === null) {
-                console.log(`File not found or error for ${fileInfo.url}. This may be expected for some combinations.`);
-            } else {
-                await storeData(fileInfo, data);
+            const status = loadStatuses.get(storeName);
+            if (status && status.status === 'missing' && status.sha256 === fileInfo.sha256) {
+                console.log(`${storeName} is not on the server. Skipping.`);
+                processedCount++;
+                updateProgress();
+                return;
             }
 
+            console.log(`Processing ${fileInfo.url}...`);
+            const loaded = await loadFile(fileInfo);
+
             processedCount++;
             updateProgress();
+            return loaded;
         }
 
-        // Process all files with limited concurrency
-        async function processAllFiles() {
+        // Process files with limited concurrency. Returns the stores loaded
+        // or indexed.
+        async function processFiles(files) {
             let index = 0;
+            const loadedStores = [];
 
             async function next() {
-                while (index < allFiles.length) {
-                    const fileInfo = allFiles[index++];
-                    await processFile(fileInfo);
+                while (index < files.length) {
+                    const fileInfo = files[index++];
+                    if (await processFile(fileInfo)) {
+                        loadedStores.push(fileInfo.filename);
+                    }
                 }
             }
 
             // Launch CONCURRENCY workers
             const workers = [];
-            for (let i = 0; i < Math.min(CONCURRENCY, allFiles.length); i++) {
+            for (let i = 0; i < Math.min(CONCURRENCY, files.length); i++) {
                 workers.push(next());
             }
             await Promise.all(workers);
+            return loadedStores;
         }
 
-        await processAllFiles();
+        // Process the files of one language and announce it ready
+        async function loadLanguage(language) {
+            const files = filesOf(language);
+            const successfulBefore = successfulLoads;
+            const failedBefore = failedLoads;
+
+            // A search run before a store was filled cached nothing for it
+            announceUpdatedStores(await processFiles(files));
+
+            document.dispatchEvent(new CustomEvent('buddhist-texts-language-loaded', {
+                detail: {
+                    language: language,
+                    successful: successfulLoads - successfulBefore,
+                    failed: failedLoads - failedBefore,
+                    total: files.length
+                }
+            }));
+        }
 
-        console.log("All files processed.");
-        console.log(`Summary: ${successfulLoads} files loaded, ${failedLoads} files failed/missing`);
+        // Replace the changed stores one at a time, behind the searches
+        async function updateChangedFiles(files) {
+            const updatedStores = [];
+            for (const fileInfo of files) {
+                console.log(`Updating ${fileInfo.url}...`);
+                if (await loadFile(fileInfo, true)) {
+                    updatedStores.push(fileInfo.filename);
+                }
+            }
+            console.log(`Updated ${updatedStores.length} of ${files.length} changed stores`);
+            announceUpdatedStores(updatedStores);
+        }
 
+        // Searches in this page read the new texts from now on
+        function announceUpdatedStores(storeNames) {
+            if (storeNames.length === 0) return;
+            forgetStoreCaches(storeNames);
+            document.dispatchEvent(new CustomEvent('buddhist-texts-updated', {
+                detail: { stores: storeNames }
+            }));
+        }
+
+        // Stores filled before the data files store have no hash. Those of
+        // the languages loaded here are replaced like changed stores; the
+        // others would keep texts of an unknown version, so they are
+        // emptied, to be loaded afresh once their language is searched or
+        // kept offline.
+        async function clearUnhashedStores() {
+            const keptLanguages = pageLanguages.concat(
+                typeof getOfflineLanguages === 'function' ? getOfflineLanguages() : []);
+            const hashedStores = new Set(await db[DATA_FILES_STORE].toCollection().primaryKeys());
+            const clearedStores = [];
+            for (const fileInfo of allFiles) {
+                const storeName = fileInfo.filename;
+                if (hashedStores.has(storeName) || keptLanguages.includes(fileInfo.language)) continue;
+                if (!(await storeHasData(storeName))) continue;
+                await clearStoreData(db, storeName);
+                clearedStores.push(storeName);
+            }
+            if (clearedStores.length > 0) {
+                console.log(`Cleared ${clearedStores.length} stores loaded before their files were hashed`);
+            }
+            announceUpdatedStores(clearedStores);
+        }
+
+        // Try the files that failed again, one at a time, in a progress
+        // window of their own
+        async function retryFailedFiles() {
+            const retries = failedFiles.splice(0);
+            reportedFailures = 0;
+            totalFiles += retries.length;
+            progressStart = processedCount;
+            progressTotal = retries.length;
+            if (typeof ProgressWindow !== 'undefined') {
+                ProgressWindow.create(progressTotal);
+            }
+
+            const loadedStores = [];
+            for (const { fileInfo, replace } of retries) {
+                console.log(`Retrying ${fileInfo.url}...`);
+                if (await loadFile(fileInfo, replace)) {
+                    loadedStores.push(fileInfo.filename);
+                }
+                processedCount++;
+                updateProgress();
+            }
+            console.log(`Loaded ${loadedStores.length} of ${retries.length} failed files`);
+
+            progressTotal = 0;
+            if (typeof ProgressWindow !== 'undefined') {
+                ProgressWindow.close();
+            }
+            announceUpdatedStores(loadedStores);
+            reportFailures();
+        }
+
+        // Offer to try the files that failed again, once per new failure
+        let reportedFailures = 0;
+        function reportFailures() {
+            if (failedFiles.length === reportedFailures) return;
+            reportedFailures = failedFiles.length;
+            if (failedFiles.length === 0 || typeof ProgressWindow === 'undefined') return;
+            ProgressWindow.showFailures(failedFiles.length, () => inBackground(retryFailedFiles));
+        }
+
+        for (const language of pageLanguages) {
+            await loadLanguage(language);
+        }
+
+        console.log("The files of this page's languages are processed.");
+        console.log(`Summary: ${successfulLoads} files loaded, ${failedLoads} files failed, ${missingLoads} files missing`);
+
+        progressTotal = 0;
         if (typeof ProgressWindow !== 'undefined') {
             ProgressWindow.close();
         }
 
         document.body.classList.remove('loading-database');
         dispatchLoadedEvent();
-
+        reportFailures();
+
+        // Then, one task at a time behind the searches: the languages kept
+        // offline, the changed stores, and languages chosen later on. Stores
+        // already loaded are skipped, so a language may be asked for again.
+        let backgroundTasks = Promise.resolve();
+        const inBackground = task => {
+            backgroundTasks = backgroundTasks.then(task).catch(error => {
+                console.error("Error loading texts in the background:", error);
+            });
+        };
+        const loadInBackground = languages => {
+            languages
+                .filter(language => !pageLanguages.includes(language))
+                .forEach(language => {
+                    totalFiles += filesOf(language).length;
+                    inBackground(() => loadLanguage(language));
+                });
+            inBackground(() => updateChangedFiles(changedFiles.splice(0)));
+            inBackground(reportFailures);
+        };
+
+        loadInBackground(typeof getOfflineLanguages === 'function' ? getOfflineLanguages() : []);
+        inBackground(clearUnhashedStores);
+        document.addEventListener('buddhist-texts-offline-languages', event => {
+            loadInBackground(event.detail.languages);
+        });
     } catch (error) {
         console.error("Critical error setting up database:", error);
         document.body.classList.remove('loading-database');
@@ -240,13 +748,13 @@
         if (typeof ProgressWindow !== 'undefined') {
             ProgressWindow.close();
         }
+
+        // Searches waiting for the texts read what is stored
+        dispatchLoadedEvent();
     }
 
     // Function to dispatch the 'buddhist-texts-loaded' event
     function dispatchLoadedEvent(successful = successfulLoads, failed = failedLoads, total = totalFiles) {
-        localStorage.setItem('buddhistTextsLoaded', 'true');
-        localStorage.setItem('buddhistTextsLoadedVersion', DEXIE_DB_VERSION.toString());
-
         const event = new CustomEvent('buddhist-texts-loaded', {
             detail: {
                 successful: successful,
@@ -1,73 +1,202 @@
 // Root language search (X_Z stores)
-// Requires dexie.js and dexie-shared.js to be loaded first
+// Requires dexie.js and dexie-shared.js to be loaded first; uses
+// pali-transliteration.js and pali-inflection.js when they are loaded
 
 /**
  * Searches for a term in root language stores (e.g. pli_sutta).
+ * With rootLang "root" every root language is searched at once.
  *
- * @param {string} searchTerm - The term to search for.
- * @param {string} rootLang - The root language code (e.g., "pli").
+ * @param {string} searchTerm - The term to search for, in search box syntax (see parseSearchQuery).
+ * @param {string} rootLang - The root language code (e.g., "pli"), or "root" for all of them.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the search between stores.
+ * @param {Function} [options.onBatch] - Called with the matches of each store
+ *   as it is scanned, before they are ranked.
+ * @param {Object} [options.filters] - Canons, categories and collections to
+ *   search (see normalizeSearchFilters); root verses have no translator.
+ *   Stores and texts outside them are skipped, not read.
+ * @param {boolean} [options.exactDiacritics] - Match diacritics as typed, so
+ *   "pāli" does not find "pali". Pali words are then not expanded into their forms.
+ * @param {boolean} [options.acrossSegments] - Also match a sentence split over
+ *   consecutive verses of one text, as one result of the joined verses
+ *   (see matchTextVerses).
+ * @param {boolean} [options.regex] - Read searchTerm as a regular expression,
+ *   as its re: prefix also does (see regexSearchStores). It is matched against
+ *   the verse as written with exactDiacritics, else the normalized verse.
+ * @param {boolean} [options.correctMisspellings=true] - When nothing matches,
+ *   search the closest words that occur instead (never with exactDiacritics).
+ * @param {Object} [options.searchInfo] - Filled in with details for the search
+ *   stats: transliteratedTerm is the query converted from a native script to
+ *   IAST, expandedTerms lists the Pali words searched in all their forms.
+ *   When nothing matched and misspelled words were searched as similar ones
+ *   instead, corrections lists them and suggestion is the corrected term.
+ *   Regular expression searches report regexError and timedOutStores.
  * @returns {Promise<Array>} - List of matching verses.
  */
-async function rootLanguageSearch(searchTerm, rootLang) {
+async function rootLanguageSearch(searchTerm, rootLang, options = {}) {
     try {
-        const db = getSharedDatabase();
+        const db = await getSharedDatabase();
+        const filters = normalizeSearchFilters(options.filters);
 
-        const normalizedSearchTerm = normalizeText(searchTerm);
-        const searchWords = normalizedSearchTerm.split(' ').filter(word => word.length > 0);
-
-        // Get stores matching {rootLang}_{category} (2-part names only)
+        // Get stores matching {rootLang}_{category} (2-part names only), or
+        // every root store when searching all root languages
         const storeNames = db.tables.map(table => table.name)
             .filter(name => {
                 const parts = name.split('_');
-                return parts.length === 2 && parts[0] === rootLang;
-            });
+                return parts.length === 2 && (rootLang === ALL_ROOTS_LANG_CODE || parts[0] === rootLang);
+            })
+            .filter(name => storeMatchesFilters(name, filters));
 
         if (storeNames.length === 0) {
             console.warn(`No root stores found for language: ${rootLang}`);
             return [];
         }
 
-        const matchedVerses = [];
+        // A regular expression is matched against every verse as it stands:
+        // it is not transliterated, expanded or corrected
+        if (isRegexSearch(searchTerm, options)) {
+            return await regexSearchStores(db, storeNames, searchTerm, filters, options);
+        }
 
-        for (const storeName of storeNames) {
-            try {
-                const table = db.table(storeName);
+        // The root stores are romanized: read queries typed in Sinhala, Thai,
+        // Devanagari, Myanmar or Lao script as IAST
+        if (typeof paliToIast === 'function' && hasPaliScript(searchTerm)) {
+            searchTerm = paliToIast(searchTerm);
+            if (options.searchInfo) {
+                options.searchInfo.transliteratedTerm = searchTerm;
+            }
+        }
 
-                await table.toCollection().each((record, cursor) => {
-                    const urlKey = cursor.key;
+        const parsedQuery = parseSearchQuery(searchTerm);
+        const query = normalizeSearchQuery(parsedQuery);
+        // Candidates still come from the normalized index; the exact query
+        // then checks them against the verse as written
+        const exactQuery = options.exactDiacritics
+            ? normalizeSearchQuery(parsedQuery, foldDiacriticExact)
+            : null;
+        const normalizedSearchTerm = searchQueryTerms(query)
+            .map(term => parseSearchTerm(term).text)
+            .join(' ');
 
-                    if (!record || !record.root) return;
+        // Each language's words are expanded the way that language inflects
+        const storesByLanguage = new Map();
+        storeNames.forEach(storeName => {
+            const language = storeName.split('_')[0];
+            if (!storesByLanguage.has(language)) storesByLanguage.set(language, []);
+            storesByLanguage.get(language).push(storeName);
+        });
 
-                    for (const verseIndex in record.root) {
-                        const verseObj = record.root[verseIndex];
-                        if (!verseObj || typeof verseObj.verse !== 'string') continue;
+        // Search Pali words in all their declined and sandhi forms
+        const expandQuery = async (language, languageStores) => {
+            if (language !== 'pli' || exactQuery || typeof expandPaliQuery !== 'function') {
+                return { query, expandedTerms: [] };
+            }
+            return expandPaliQuery(query, await getSearchVocabulary(db, languageStores));
+        };
 
-                        // Use pre-normalized text if available, otherwise normalize on the fly
-                        const nv = verseObj.normalized_verse || normalizeText(verseObj.verse);
+        // Search every language with its own form of the query. Corrected
+        // words replace the misspelled ones after the expansion, so they are
+        // searched as they are.
+        const searchLanguages = async corrections => {
+            const searches = [];
+            for (const [language, languageStores] of storesByLanguage) {
+                const expansion = await expandQuery(language, languageStores);
+                const languageQuery = corrections
+                    ? correctQueryTerms(expansion.query, corrections)
+                    : expansion.query;
+                const matches = await findRootMatches(db, languageStores, languageQuery,
+                    corrections ? null : exactQuery, filters, options);
+                searches.push({ query: languageQuery, expandedTerms: expansion.expandedTerms, matches });
+            }
+            return searches;
+        };
 
-                        if (searchWords.every(word => nv.includes(word))) {
-                            matchedVerses.push({
-                                url_key: urlKey,
-                                verseindex: verseIndex,
-                                verse: verseObj.verse,
-                                normalized_verse: nv,
-                                store: storeName
-                            });
-                        }
-                    }
-                });
-            } catch (error) {
-                console.error(`Error processing store ${storeName}:`, error);
+        let searches = await searchLanguages(null);
+        let matchedVerses = searches.flatMap(search => search.matches);
+        let corrections = [];
+
+        // Nothing found: try the closest words that do occur, unless the
+        // diacritics were asked to match exactly
+        if (matchedVerses.length === 0 && !exactQuery && options.correctMisspellings !== false) {
+            const correction = await correctSearchQuery(db, storeNames, query);
+            if (correction) {
+                searches = await searchLanguages(correction.corrections);
+                matchedVerses = searches.flatMap(search => search.matches);
+                corrections = correction.corrections;
+                if (options.searchInfo && matchedVerses.length > 0) {
+                    options.searchInfo.corrections = correction.corrections;
+                    options.searchInfo.suggestion = applySearchCorrections(searchTerm, correction.corrections);
+                }
             }
         }
 
-        return scoreAndSortResults(matchedVerses, normalizedSearchTerm, searchWords);
+        // Only the words typed are reported expanded
+        const expandedTerms = searches.flatMap(search => search.expandedTerms);
+        if (options.searchInfo && expandedTerms.length > 0) {
+            options.searchInfo.expandedTerms = expandedTerms;
+        }
+
+        // Prefix words keep their '*' to be ranked on the words they begin;
+        // the forms of a word are ranked as that word
+        const searchWords = Array.from(new Set(searches.flatMap(search => searchQueryTerms(search.query))));
+        const wordForms = expandedTerms.concat(corrections.map(({ term, candidates }) => ({ term, forms: candidates })));
+
+        await loadRankingStatistics(db, storeNames, searchWords);
+        return scoreAndSortResults(matchedVerses, normalizedSearchTerm, searchWords, wordForms);
 
     } catch (error) {
+        if (error.name === 'AbortError') throw error;
         console.error("Root language search failed:", error);
         return [];
     }
 }
 
-// Make the function available globally
-window.rootLanguageSearch = rootLanguageSearch;
\ No newline at end of file
+/**
+ * Collect the verses of root stores matching a normalized query.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {Object} query - From normalizeSearchQuery; finds the candidates
+ * @param {Object|null} exactQuery - The query folded by foldDiacriticExact,
+ *   matched against the verse as written instead of query when given
+ * @param {Object|null} filters - From normalizeSearchFilters
+ * @param {Object} options - The search options: signal, onBatch and
+ *   acrossSegments (see rootLanguageSearch)
+ * @returns {Promise<Array>}
+ */
+async function findRootMatches(db, storeNames, query, exactQuery, filters, options) {
+    const { signal, onBatch } = options;
+    const acrossSegments = Boolean(options.acrossSegments);
+    const matchedVerses = [];
+
+    const matches = (verse, nv) => exactQuery
+        ? matchesSearchQuery(foldDiacriticExact(verse), exactQuery)
+        : matchesSearchQuery(nv, query);
+
+    for (const storeName of storeNames) {
+        if (signal) signal.throwIfAborted();
+        const storeStart = matchedVerses.length;
+
+        try {
+            await forEachCandidateRecord(db, storeName, query, (record, urlKey, candidates) => {
+                if (!record || !record.root) return;
+
+                const isCandidate = candidates && (verseIndex => candidates.has(postingKey(urlKey, verseIndex)));
+                matchTextVerses(record.root, matches, isCandidate, acrossSegments).forEach(found => {
+                    matchedVerses.push({ url_key: urlKey, ...found, store: storeName });
+                });
+            }, filters, acrossSegments);
+        } catch (error) {
+            console.error(`Error processing store ${storeName}:`, error);
+        }
+
+        if (onBatch && matchedVerses.length > storeStart) {
+            onBatch(matchedVerses.slice(storeStart));
+        }
+    }
+
+    return matchedVerses;
+}
+
+// Make the function available globally (self is window on the page and the
+// worker global scope in search-worker.js)
+self.rootLanguageSearch = rootLanguageSearch;
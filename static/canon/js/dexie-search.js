@@ -4,75 +4,134 @@
 /**
  * Searches for a term in translation language stores (e.g. pli_en_sutta).
  *
- * @param {string} searchTerm - The term to search for.
+ * @param {string} searchTerm - The term to search for, in search box syntax (see parseSearchQuery).
  * @param {string} langCode - The language code (e.g., "en").
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the search between stores.
+ * @param {Function} [options.onBatch] - Called with the matches of each store
+ *   as it is scanned, before they are ranked.
+ * @param {Object} [options.filters] - Canons, categories, collections and
+ *   translators to search (see normalizeSearchFilters). Stores, texts and
+ *   translators outside them are skipped, not read.
+ * @param {boolean} [options.correctMisspellings=true] - When nothing matches,
+ *   search the closest words that occur instead.
+ * @param {boolean} [options.acrossSegments] - Also match a sentence split over
+ *   consecutive verses of one text, as one result of the joined verses
+ *   (see matchTextVerses).
+ * @param {boolean} [options.regex] - Read searchTerm as a regular expression,
+ *   as its re: prefix also does (see regexSearchStores). It is matched against
+ *   the verse as written with options.exactDiacritics, else the normalized verse.
+ * @param {Object} [options.searchInfo] - Filled in with details for the search
+ *   stats: when nothing matched and misspelled words were searched as similar
+ *   ones instead, corrections lists them and suggestion is the corrected term.
+ *   Regular expression searches report regexError and timedOutStores.
  * @returns {Promise<Array>} - List of matching verses.
  */
-async function languageAwareSearch(searchTerm, langCode) {
+async function languageAwareSearch(searchTerm, langCode, options = {}) {
     try {
-        const db = getSharedDatabase();
+        const db = await getSharedDatabase();
 
-        const normalizedSearchTerm = normalizeText(searchTerm);
-        const searchWords = normalizedSearchTerm.split(' ').filter(word => word.length > 0);
+        const filters = normalizeSearchFilters(options.filters);
 
         // Get stores matching X_{langCode}_Z
         const storeNames = db.tables.map(table => table.name)
             .filter(name => {
                 const parts = name.split('_');
                 return parts.length === 3 && parts[1] === langCode;
-            });
+            })
+            .filter(name => storeMatchesFilters(name, filters));
 
         if (storeNames.length === 0) {
             console.warn(`No stores found for language code: ${langCode}`);
             return [];
         }
 
-        const matchedVerses = [];
-
-        for (const storeName of storeNames) {
-            try {
-                const table = db.table(storeName);
-
-                await table.toCollection().each((record, cursor) => {
-                    const urlKey = cursor.key;
-
-                    if (!record || !record.texts) return;
-
-                    for (const author in record.texts) {
-                        const translation = record.texts[author];
-                        for (const verseIndex in translation) {
-                            const verseObj = translation[verseIndex];
-                            if (!verseObj || typeof verseObj.verse !== 'string') continue;
-
-                            // Use pre-normalized text if available, otherwise normalize on the fly
-                            const nv = verseObj.normalized_verse || normalizeText(verseObj.verse);
-
-                            if (searchWords.every(word => nv.includes(word))) {
-                                matchedVerses.push({
-                                    url_key: urlKey,
-                                    verseindex: verseIndex,
-                                    verse: verseObj.verse,
-                                    normalized_verse: nv,
-                                    author: author,
-                                    store: storeName
-                                });
-                            }
-                        }
-                    }
-                });
-            } catch (error) {
-                console.error(`Error processing store ${storeName}:`, error);
+        // A regular expression is matched against every verse as it stands
+        if (isRegexSearch(searchTerm, options)) {
+            return await regexSearchStores(db, storeNames, searchTerm, filters, options);
+        }
+
+        let query = normalizeSearchQuery(parseSearchQuery(searchTerm));
+        let matchedVerses = await findTranslationMatches(db, storeNames, query, filters, options);
+        let corrections = [];
+
+        // Nothing found: try the closest words that do occur
+        if (matchedVerses.length === 0 && options.correctMisspellings !== false) {
+            const correction = await correctSearchQuery(db, storeNames, query);
+            if (correction) {
+                query = correction.query;
+                matchedVerses = await findTranslationMatches(db, storeNames, query, filters, options);
+                corrections = correction.corrections;
+                if (options.searchInfo && matchedVerses.length > 0) {
+                    options.searchInfo.corrections = correction.corrections;
+                    options.searchInfo.suggestion = applySearchCorrections(searchTerm, correction.corrections);
+                }
             }
         }
 
-        return scoreAndSortResults(matchedVerses, normalizedSearchTerm, searchWords);
+        // Prefix words keep their '*' to be ranked on the words they begin;
+        // the replacements of a corrected word are ranked as one word
+        const searchWords = searchQueryTerms(query);
+        const normalizedSearchTerm = searchWords.map(term => parseSearchTerm(term).text).join(' ');
+        const wordForms = corrections.map(({ term, candidates }) => ({ term, forms: candidates }));
+
+        await loadRankingStatistics(db, storeNames, searchWords);
+        return scoreAndSortResults(matchedVerses, normalizedSearchTerm, searchWords, wordForms);
 
     } catch (error) {
+        if (error.name === 'AbortError') throw error;
         console.error("Search failed:", error);
         return [];
     }
 }
 
-// Make the functions available globally
-window.languageAwareSearch = languageAwareSearch;
-window.searchInIndexedDB = languageAwareSearch; // Backward compatibility
\ No newline at end of file
+/**
+ * Collect the verses of translation stores matching a normalized query.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {Object} query - From normalizeSearchQuery
+ * @param {Object|null} filters - From normalizeSearchFilters
+ * @param {Object} options - The search options: signal, onBatch and
+ *   acrossSegments (see languageAwareSearch)
+ * @returns {Promise<Array>}
+ */
+async function findTranslationMatches(db, storeNames, query, filters, options) {
+    const { signal, onBatch } = options;
+    const acrossSegments = Boolean(options.acrossSegments);
+    const matchedVerses = [];
+    const matches = (verse, nv) => matchesSearchQuery(nv, query);
+
+    for (const storeName of storeNames) {
+        if (signal) signal.throwIfAborted();
+        const storeStart = matchedVerses.length;
+
+        try {
+            await forEachCandidateRecord(db, storeName, query, (record, urlKey, candidates) => {
+                if (!record || !record.texts) return;
+
+                for (const author in record.texts) {
+                    if (!authorMatchesFilters(author, filters)) continue;
+
+                    const isCandidate = candidates &&
+                        (verseIndex => candidates.has(postingKey(urlKey, verseIndex, author)));
+                    matchTextVerses(record.texts[author], matches, isCandidate, acrossSegments).forEach(found => {
+                        matchedVerses.push({ url_key: urlKey, ...found, author: author, store: storeName });
+                    });
+                }
+            }, filters, acrossSegments);
+        } catch (error) {
+            console.error(`Error processing store ${storeName}:`, error);
+        }
+
+        if (onBatch && matchedVerses.length > storeStart) {
+            onBatch(matchedVerses.slice(storeStart));
+        }
+    }
+
+    return matchedVerses;
+}
+
+// Make the functions available globally (self is window on the page and the
+// worker global scope in search-worker.js)
+self.languageAwareSearch = languageAwareSearch;
+self.searchInIndexedDB = languageAwareSearch; // Backward compatibility
\ No newline at end of file
@@ -6,54 +6,221 @@
 const DEXIE_DB_NAME = "BuddhistTextsDB";
 // Bumped to 6 to add the paritta stores. Raising the version makes existing
 // clients rebuild, which they must: the new stores would otherwise stay empty.
-const DEXIE_DB_VERSION = 6;
+// Bumped to 7 to add the token index store.
+// Bumped to 8 because tokens now keep combining marks; the upgrade clears the
+// token index and the loader rebuilds it from the stored records.
+// Bumped to 9 because Chinese and Japanese text is now indexed as character
+// bigrams and normalized with its character variants folded (see getSharedDatabase).
+// Bumped to 10 to add the ranking statistics store.
+// Bumped to 11 because the ranking statistics now list each store's
+// collections and translators, for the search filters; the upgrade clears
+// them and the loader gathers them again from the stored records.
+// Bumped to 12 to add the search history store.
+// Bumped to 13 to add the data files store.
+// Bumped to 14 to add the load status store.
+const DEXIE_DB_VERSION = 14;
 
+// Token index for every text store, keyed by [store+term]. The name has no
+// underscore so the X_Z / X_Y_Z store filters never take it for a text store.
+const SEARCH_INDEX_STORE = "searchindex";
+// Index rows of a store being loaded are gathered under this suffix to its
+// name, and renamed once the whole file is stored
+const STAGED_INDEX_SUFFIX = "~";
+// Verse and token counts of every text store, for relevance ranking
+const SEARCH_STATS_STORE = "searchstats";
+// Past and saved searches of this browser (see search-history.js)
+const SEARCH_HISTORY_STORE = "searchhistory";
+// The content hash of the data file each text store was loaded from, to
+// tell from the data manifest which stores have changed since
+const DATA_FILES_STORE = "datafiles";
+// How the last attempt to load each text store's data file went: loaded,
+// missing (not on the server) or failed, with its attempts and error
+const LOAD_STATUS_STORE = "loadstatus";
+
+// Root languages with a search page of their own. Which languages and
+// categories have texts is read from the data manifest.
 const ROOT_LANGUAGES = ["pli", "pra", "san", "lzh"];
-const TRANSLATION_LANGUAGES = [
-    "cs", "de", "en", "es", "fi", "fr", "gu", "hi", "id",
-    "it", "jpn", "lo", "lt", "my", "pl", "ru", "sr", "th", "vi"
-];
+// lang_code of the search page covering every root language
+const ALL_ROOTS_LANG_CODE = "root";
 // 'paritta' holds anthologies such as the Catubhāṇavārapāḷi. Only their own
 // material is stored: passages an anthology borrows from the canon stay in the
 // sutta stores, so a search matches a borrowed line once, not twice.
 const TEXT_CATEGORIES = ["sutta", "vinaya", "abhidhamma", "paritta"];
 
+// The data manifest lists every data file (X_Z.json, X_Y_Z.json) with its
+// store, size and content hash, and the languages and categories they hold.
+// It is written by scripts/generate_data_manifest.py, to be run whenever a
+// data file is added or changed; the database schema and the loader follow
+// it, so a new language needs new data, not new code.
+// A file is one JSON object of url_key -> record unless its format is
+// "ndjson": one [url_key, record] array per line, which the loader stores as
+// it reads it. Its encoding ("gzip" or "br") says it is served compressed;
+// json_file then names the same data as plain JSON, for browsers that cannot
+// decompress it.
+const DATA_MANIFEST_FILE = "data-manifest.json";
+const DATA_MANIFEST_FORMAT = "buddhist-texts-data";
+
 /**
- * Check whether a root language / category combination is valid.
- * Abhidhamma is excluded for pra, san, and lzh; paritta exists only in Pali.
+ * The name a store's index rows are gathered under while its data file is
+ * loaded. Searches never look them up.
+ * @param {string} storeName
+ * @returns {string}
  */
-function isValidCombination(rootLang, category) {
-    if (category === "abhidhamma" &&
-        (rootLang === "pra" || rootLang === "san" || rootLang === "lzh")) {
-        return false;
+function stagedIndexName(storeName) {
+    return storeName + STAGED_INDEX_SUFFIX;
+}
+
+/**
+ * The URL of the directory holding the data files and their manifest.
+ * Pages may set json_data_root; the search worker uses the default.
+ * @returns {string} Ending in '/'
+ */
+function dataRootUrl() {
+    const root = typeof json_data_root !== 'undefined' ? json_data_root : '/static/canon/json/';
+    return root.endsWith('/') ? root : `${root}/`;
+}
+
+/**
+ * The language of a data file's texts: its translation language, or its
+ * root language for root texts.
+ * @param {Object} file - A file of the data manifest
+ * @returns {string}
+ */
+function dataFileLanguage(file) {
+    return file.translation_lang || file.root_lang;
+}
+
+/**
+ * The languages a search page loads before it searches: its own, or every
+ * root language on the page of all of them, and the other side of its
+ * side-by-side search (see combinedSearch) when it offers one: English on a
+ * root page, the root languages on a translation page.
+ * @param {Object} manifest - From loadDataManifest
+ * @param {string} langCode - The page's lang_code
+ * @param {boolean} combined - Whether the page offers side-by-side search
+ * @returns {string[]}
+ */
+function searchPageLanguages(manifest, langCode, combined) {
+    const rootPage = ROOT_LANGUAGES.includes(langCode) || langCode === ALL_ROOTS_LANG_CODE;
+    const languages = langCode === ALL_ROOTS_LANG_CODE ? [...manifest.root_languages] : [langCode];
+    if (combined) {
+        (rootPage ? ['en'] : manifest.root_languages).forEach(language => {
+            if (!languages.includes(language)) languages.push(language);
+        });
+    }
+    return languages;
+}
+
+/**
+ * The data manifest, fetched once per page.
+ */
+let _dataManifest = null;
+
+/**
+ * Fetch the data manifest. A failed fetch is tried again on the next call.
+ * @returns {Promise<{root_languages: string[], translation_languages: string[],
+ *   categories: string[], files: Array<{store: string, file: string, size: number,
+ *   sha256: string, root_lang: string, translation_lang: string|null,
+ *   category: string, format?: string, encoding?: string}>}>}
+ *   translation_lang is null for root texts
+ * @throws {Error} If the manifest cannot be fetched or is not a data manifest
+ */
+function loadDataManifest() {
+    if (!_dataManifest) {
+        _dataManifest = (async () => {
+            // Revalidated with the server: it says which data files changed
+            const response = await fetch(`${dataRootUrl()}${DATA_MANIFEST_FILE}`, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const manifest = await response.json();
+            if (!manifest || manifest.format !== DATA_MANIFEST_FORMAT || !Array.isArray(manifest.files)) {
+                throw new Error(`${DATA_MANIFEST_FILE} is not a data manifest`);
+            }
+            return manifest;
+        })();
+        _dataManifest.catch(() => {
+            _dataManifest = null;
+        });
     }
-    if (category === "paritta" && rootLang !== "pli") {
+    return _dataManifest;
+}
+
+/**
+ * Clean up the filters of a search, as read from the search form or URL.
+ *   canons       root languages (e.g. "pli"), for root stores and translations of them
+ *   categories   TEXT_CATEGORIES
+ *   collections  url_key prefixes, whole path segments (e.g. "pli/ms/sutta/mn")
+ *   authors      translators (e.g. "sujato"); root verses have none and are kept
+ * @param {Object} [filters] - Lists of strings under those names
+ * @returns {Object|null} The filters with blank entries and empty lists
+ *   dropped, or null when nothing is filtered
+ */
+function normalizeSearchFilters(filters) {
+    if (!filters) return null;
+
+    const normalized = {};
+    ['canons', 'categories', 'collections', 'authors'].forEach(name => {
+        const values = (filters[name] || [])
+            .map(value => String(value).trim())
+            .map(value => name === 'collections' ? value.replace(/^\/+|\/+$/g, '') : value.toLowerCase())
+            .filter(value => value !== '');
+        if (values.length > 0) normalized[name] = Array.from(new Set(values));
+    });
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Check whether a text store (X_Z or X_Y_Z) can hold verses the filters keep.
+ * @param {string} storeName
+ * @param {Object|null} filters - From normalizeSearchFilters
+ */
+function storeMatchesFilters(storeName, filters) {
+    if (!filters) return true;
+    const parts = storeName.split('_');
+    if (filters.canons && !filters.canons.includes(parts[0])) return false;
+    if (filters.categories && !filters.categories.includes(parts[parts.length - 1])) return false;
+    if (filters.collections && !filters.collections.some(prefix => prefix.split('/')[0] === parts[0])) {
         return false;
     }
     return true;
 }
 
 /**
- * Generate the Dexie store schema object for all tables.
+ * Check whether a text (url_key) is in one of the filtered collections.
+ * @param {string} urlKey
+ * @param {Object|null} filters - From normalizeSearchFilters
+ */
+function urlKeyMatchesFilters(urlKey, filters) {
+    if (!filters || !filters.collections) return true;
+    return filters.collections.some(prefix => urlKey === prefix || urlKey.startsWith(`${prefix}/`));
+}
+
+/**
+ * Check whether a translator's verses are kept by the filters.
+ * @param {string} author
+ * @param {Object|null} filters - From normalizeSearchFilters
  */
-function generateStoreSchema() {
+function authorMatchesFilters(author, filters) {
+    if (!filters || !filters.authors) return true;
+    return filters.authors.includes(author.toLowerCase());
+}
+
+/**
+ * Generate the Dexie store schema object for all tables: one text store per
+ * data file of the manifest, and the search stores.
+ * @param {Object} manifest - From loadDataManifest
+ */
+function generateStoreSchema(manifest) {
     const schema = {};
 
-    ROOT_LANGUAGES.forEach(rootLang => {
-        TEXT_CATEGORIES.forEach(category => {
-            if (!isValidCombination(rootLang, category)) return;
-            schema[`${rootLang}_${category}`] = '';
-        });
+    manifest.files.forEach(file => {
+        schema[file.store] = '';
     });
 
-    ROOT_LANGUAGES.forEach(rootLang => {
-        TRANSLATION_LANGUAGES.forEach(transLang => {
-            TEXT_CATEGORIES.forEach(category => {
-                if (!isValidCombination(rootLang, category)) return;
-                schema[`${rootLang}_${transLang}_${category}`] = '';
-            });
-        });
-    });
+    schema[SEARCH_INDEX_STORE] = '[store+term]';
+    schema[SEARCH_STATS_STORE] = 'store';
+    schema[SEARCH_HISTORY_STORE] = '++id, timestamp';
+    schema[DATA_FILES_STORE] = 'store';
+    schema[LOAD_STATUS_STORE] = 'store';
 
     return schema;
 }
@@ -65,7 +232,481 @@ function generateStoreSchema() {
  */
 function normalizeText(text) {
     if (!text) return '';
-    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return foldCjkVariants(text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase());
+}
+
+// Chinese characters written differently in traditional, simplified and
+// Japanese usage, simplified form first. The canon is in traditional
+// characters but many readers type simplified ones. Characters whose
+// simplified form merges distinct classical words (雲/云, 後/后, 捨/舍...)
+// are left out.
+const CJK_VARIANT_GROUPS = (
+    "经經経 说說説 闻聞 无無 为為爲 与與 时時 会會 国國 门門 问問 诸諸 圣聖 谛諦 灭滅 乱亂 观觀観 觉覺覚 " +
+    "学學 处處処 识識 触觸 爱愛 缘緣縁 乐樂楽 恼惱悩 坏壞壊 气氣気 业業 应應応 当當 来來 长長 众眾衆 禅禪 " +
+    "净淨浄 园園 树樹 给給 独獨 汉漢 罗羅 弥彌 难難 胜勝 实實実 体體 欢歡歓 见見 听聽聴 语語 论論 读讀読 " +
+    "宝寶 发發 变變変 断斷 转轉転 轮輪 东東 书書 离離 归歸帰 亿億 万萬 数數 总總総 杂雜雑 头頭 种種 缠纏 " +
+    "结結 缚縛 贪貪 恶惡悪 颠顛 尔爾 从從 兴興 惭慚 义義 礼禮 师師 虽雖 随隨 边邊辺 进進 还還 过過 这這 " +
+    "远遠 违違 选選 间間 关關関 开開 闭閉 阴陰 阳陽 陈陳 际際 险險険 杀殺 亲親 摄攝摂 护護 忆憶 怜憐 悬懸 " +
+    "广廣広 废廢廃 华華 药藥薬 苏蘇 萨薩 荣榮栄 劳勞労 梦夢 龙龍竜 龟龜亀 鸟鳥 鱼魚 马馬 齿齒歯 声聲 卖賣売 " +
+    "买買 贝貝 财財 贫貧 责責 贵貴 资資 赞讚贊賛 车車 军軍 轻輕軽 载載 达達 运運 遗遺 释釋釈 钵缽鉢 镜鏡 " +
+    "灵靈霊 页頁 顶頂 须須鬚 顺順 领領 愿願 类類 显顯顕 风風 飞飛 饭飯 饮飲 饥饑飢 称稱 积積 稳穩穏 穷窮 " +
+    "笔筆 紧緊 约約 级級 纯純 细細 终終 绝絕絶 续續続 网網 习習 肃肅粛 脑腦脳 苍蒼 蕴蘊 虚虛 虑慮 补補 装裝 " +
+    "规規 视視 览覽覧 计計 认認 让讓譲 训訓 记記 讲講 许許 设設 证證証 词詞 译譯訳 试試 诗詩 诚誠 话話 误誤 " +
+    "请請 谁誰 调調 谈談 谓謂 谤謗 谢謝 贤賢 赖賴頼 践踐 辈輩 于於 个個箇 历歷曆 尽盡 坚堅 尘塵 岁歲歳 " +
+    "传傳伝 伤傷 优優 儿兒児 兽獸獣 养養 决決 则則 别別 剑劍剣 劝勸勧 务務 动動 势勢 区區 医醫 卫衛 县縣県 " +
+    "参參 双雙 员員 团團 围圍 图圖図 圆圓円 场場 执執 报報 寿壽 夺奪 妇婦 宁寧 审審 对對対 寻尋 导導 将將 " +
+    "层層 属屬 带帶帯 庄莊荘 庆慶 异異 弃棄 张張 弹彈弾 强強 录錄録 忧憂 怀懷懐 态態 恋戀 恒恆 惊驚 惧懼 " +
+    "忏懺 战戰戦 户戶戸 扩擴拡 择擇択 担擔 拥擁 损損 据據 敌敵 斋齋斎 旧舊 晓曉暁 暂暫 术術 权權権 条條 极極 " +
+    "样樣様 桥橋 检檢検 楼樓 残殘 毁毀 毕畢 汤湯 没沒 泪淚 泽澤沢 洁潔 浅淺 测測 济濟済 浊濁 涂塗 润潤 渐漸 " +
+    "温溫 湿濕 满滿満 潜潛 灯燈 灾災 炉爐 点點 热熱 牵牽 犹猶 献獻 环環 现現 电電 画畫 疗療 盖蓋 盘盤 监監 " +
+    "确確 碍礙 祸禍 秘祕 窃竊 竞競 笃篤 筑築 简簡 粮糧 纠糾 红紅 纤纖繊 纪紀 纳納 纵縱縦 纷紛 纸紙 线線 " +
+    "练練 组組 织織 绕繞 绘繪絵 络絡 统統 继繼継 绪緒 维維 绵綿 绿綠緑 编編 缓緩 缩縮 罚罰 罢罷 耻恥 职職 " +
+    "联聯 聪聰 肠腸 肤膚 胁脅 脉脈 节節 荡蕩 获獲 莲蓮 营營営 蓝藍 虫蟲 蛮蠻 誉譽 议議 访訪 评評 诈詐 诉訴 " +
+    "诞誕 询詢 该該 详詳 诱誘 课課 谋謀 谦謙 谨謹 贞貞 负負 败敗 货貨 质質 购購 贯貫 贱賤 费費 贺賀 赏賞 " +
+    "赐賜 赠贈 趋趨 跃躍 轨軌 软軟 较較 辉輝 输輸 辞辭 迁遷 连連 迟遲遅 逊遜 递遞 邻鄰隣 针針 钱錢銭 铁鐵鉄 " +
+    "铃鈴 铜銅 银銀 锁鎖 锐銳鋭 错錯 镇鎮 闲閑 阅閱 队隊 阵陣 阶階 陆陸 隐隱隠 雾霧 静靜 项項 顽頑 顾顧 " +
+    "顿頓 预預 频頻 题題 颜顏 额額 饰飾 饱飽 馆館 驱驅駆 验驗験 骑騎 鲜鮮 鸣鳴 鹤鶴 麦麥 黄黃 齐齊斉 佛仏 " +
+    "拜拝 插挿 巢巣 涉渉 莱萊"
+).split(" ");
+
+// Character -> its variant group, and a pattern matching any variant; built on first use
+let _cjkVariantGroups = null;
+let _cjkVariantPattern = null;
+
+function getCjkVariantGroups() {
+    if (!_cjkVariantGroups) {
+        _cjkVariantGroups = new Map();
+        CJK_VARIANT_GROUPS.forEach(group => {
+            Array.from(group).forEach(char => _cjkVariantGroups.set(char, group));
+        });
+        _cjkVariantPattern = new RegExp(`[${Array.from(_cjkVariantGroups.keys()).join('')}]`, 'gu');
+    }
+    return _cjkVariantGroups;
+}
+
+/**
+ * The variant group of a Chinese character, e.g. "经經経" for 經.
+ * @param {string} char
+ * @returns {string|undefined}
+ */
+function cjkVariantGroup(char) {
+    return getCjkVariantGroups().get(char);
+}
+
+/**
+ * Replace every Chinese character variant with the first form of its group.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldCjkVariants(text) {
+    const groups = getCjkVariantGroups();
+    return text.replace(_cjkVariantPattern, char => groups.get(char)[0]);
+}
+
+/**
+ * Fold text for diacritic-exact matching: case is ignored but diacritics are
+ * kept, so "pāli" and "pali" differ. ṃ and ṁ are one letter in two
+ * conventions and compare equal.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldDiacriticExact(text) {
+    if (!text) return '';
+    return foldCjkVariants(text.normalize('NFC').toLowerCase().replace(/ṃ/g, 'ṁ'));
+}
+
+// Characters a word is made of. Combining marks belong to the word: in
+// Devanagari, Sinhala, Thai and Myanmar Pali the vowel signs, viramas and
+// the niggahīta (ं ං ํ ံ) are marks, and splitting on them would cut every
+// word apart. The joiners shape Indic conjuncts. Latin diacritics are already
+// gone by the time text gets here (see normalizeText).
+const WORD_CHAR_CLASS = '[\\p{L}\\p{M}\\p{N}\\u200c\\u200d]';
+// Scripts written without spaces between words. Any character boundary in
+// them counts as a word boundary, so whole-word matching there behaves like
+// substring matching.
+const UNSPACED_SCRIPT_CLASS = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}' +
+    '\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Myanmar}\\p{Script=Khmer}]';
+// A word character whose script separates words with spaces
+const SPACED_WORD_CHAR = `(?:(?!${UNSPACED_SCRIPT_CLASS})${WORD_CHAR_CLASS})`;
+
+// Chinese characters and Japanese kana. Text in them has no words to split
+// on, so it is indexed and matched as overlapping character pairs (bigrams).
+const CJK_CHAR_CLASS = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\u30fc]';
+
+const _spacedWordCharPattern = new RegExp(`^${SPACED_WORD_CHAR}$`, 'u');
+const _tokenSeparatorPattern = new RegExp(`(?:(?!${WORD_CHAR_CLASS})[^])+`, 'u');
+const _cjkTextPattern = new RegExp(`^${CJK_CHAR_CLASS}+$`, 'u');
+const _cjkRunPattern = new RegExp(`${CJK_CHAR_CLASS}+|(?:(?!${CJK_CHAR_CLASS})[^])+`, 'gu');
+
+/**
+ * Whether text is made only of Chinese characters and kana.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isCjkText(text) {
+    return _cjkTextPattern.test(text);
+}
+
+/**
+ * The overlapping character pairs of a run of CJK text, or the text itself
+ * when it is a single character.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function cjkNgrams(text) {
+    const chars = Array.from(text);
+    if (chars.length < 2) return [text];
+    const ngrams = [];
+    for (let i = 0; i < chars.length - 1; i++) {
+        ngrams.push(chars[i] + chars[i + 1]);
+    }
+    return ngrams;
+}
+
+/**
+ * Split normalized text into index tokens: runs of word characters, with
+ * runs of Chinese characters and kana cut into bigrams.
+ * @param {string} normalizedText - Text already passed through normalizeText
+ * @returns {string[]}
+ */
+function tokenizeText(normalizedText) {
+    if (!normalizedText) return [];
+    return normalizedText.split(_tokenSeparatorPattern)
+        .filter(token => token.length > 0)
+        .flatMap(token => token.match(_cjkRunPattern)
+            .flatMap(run => isCjkText(run) ? cjkNgrams(run) : [run]));
+}
+
+/**
+ * The shortest stretch of text containing every bigram of a CJK word, used to
+ * rank verses where its characters appear apart.
+ * @param {string} text - Normalized text
+ * @param {string} word - A CJK search word
+ * @returns {{start: number, length: number}|null} null if a bigram is missing
+ */
+function cjkMatchSpan(text, word) {
+    return searchTermsSpan(text, Array.from(new Set(cjkNgrams(word))));
+}
+
+/**
+ * The shortest stretch of text containing an occurrence of every term.
+ * @param {string} text - Normalized text
+ * @param {string[]} terms - Normalized terms, matched as by containsSearchTerm
+ * @returns {{start: number, length: number}|null} null if a term is missing
+ */
+function searchTermsSpan(text, terms) {
+    // Every occurrence of every term, in text order
+    const occurrences = [];
+    terms.forEach((term, n) => {
+        const { text: termText } = parseSearchTerm(term);
+        searchTermPositions(text, term).forEach(position => {
+            occurrences.push({ position, end: position + termText.length, n });
+        });
+    });
+    occurrences.sort((a, b) => a.position - b.position);
+
+    // Slide a window over the occurrences until it holds every term
+    const counts = new Array(terms.length).fill(0);
+    let covered = 0;
+    let best = null;
+    let first = 0;
+    for (let last = 0; last < occurrences.length; last++) {
+        if (counts[occurrences[last].n]++ === 0) covered++;
+        while (covered === terms.length) {
+            const start = occurrences[first].position;
+            const end = Math.max(...occurrences.slice(first, last + 1).map(o => o.end));
+            if (!best || end - start < best.length) best = { start, length: end - start };
+            if (--counts[occurrences[first].n] === 0) covered--;
+            first++;
+        }
+    }
+    return best;
+}
+
+/**
+ * Whether a word boundary falls before the character at position, i.e. the
+ * characters on either side are not both word characters of a spaced script.
+ * Positions are UTF-16 offsets; astral characters are read whole.
+ * @param {string} text
+ * @param {number} position
+ * @returns {boolean}
+ */
+function isWordBoundary(text, position) {
+    if (position <= 0 || position >= text.length) return true;
+
+    const after = String.fromCodePoint(text.codePointAt(position));
+    const lowSurrogate = /[\udc00-\udfff]/.test(text[position - 1]);
+    const before = lowSurrogate && position >= 2
+        ? text.substring(position - 2, position)
+        : text[position - 1];
+
+    return !(_spacedWordCharPattern.test(before) && _spacedWordCharPattern.test(after));
+}
+
+/**
+ * Split a search term into its text and whether it is a prefix (`sati*`).
+ * @param {string} term
+ * @returns {{text: string, isPrefix: boolean}}
+ */
+function parseSearchTerm(term) {
+    const isPrefix = term.length > 1 && term.endsWith('*');
+    return { text: isPrefix ? term.slice(0, -1) : term, isPrefix };
+}
+
+/**
+ * Test whether normalized text contains a search term as whole words, or
+ * starting at a word boundary for a prefix term. Phrases are matched as a
+ * unit, so only their first and last words are checked at the edges.
+ * @param {string} normalizedText
+ * @param {string} term - A normalized term, optionally ending in '*'
+ * @returns {boolean}
+ */
+function containsSearchTerm(normalizedText, term) {
+    const { text, isPrefix } = parseSearchTerm(term);
+
+    let position = normalizedText.indexOf(text);
+    while (position !== -1) {
+        if (isWordBoundary(normalizedText, position) &&
+            (isPrefix || isWordBoundary(normalizedText, position + text.length))) {
+            return true;
+        }
+        position = normalizedText.indexOf(text, position + 1);
+    }
+    return false;
+}
+
+/**
+ * Every position where normalized text contains a search term, matched as
+ * by containsSearchTerm.
+ * @param {string} normalizedText
+ * @param {string} term
+ * @returns {number[]}
+ */
+function searchTermPositions(normalizedText, term) {
+    const { text, isPrefix } = parseSearchTerm(term);
+    const positions = [];
+    if (!text) return positions;
+
+    let position = normalizedText.indexOf(text);
+    while (position !== -1) {
+        if (isWordBoundary(normalizedText, position) &&
+            (isPrefix || isWordBoundary(normalizedText, position + text.length))) {
+            positions.push(position);
+        }
+        position = normalizedText.indexOf(text, position + 1);
+    }
+    return positions;
+}
+
+/**
+ * Regular expression source matching a search term the way containsSearchTerm
+ * does, for highlighting. Use with the 'u' flag.
+ * @param {string} term - A term as typed, optionally ending in '*'
+ * @returns {string}
+ */
+function searchTermPattern(term) {
+    const { text, isPrefix } = parseSearchTerm(term);
+    const chars = Array.from(text);
+    const firstChar = chars[0];
+    const lastChar = chars[chars.length - 1];
+
+    let source = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Chinese characters match in any of their variant forms
+    source = source.replace(/\p{Script=Han}/gu, char => {
+        const group = cjkVariantGroup(char);
+        return group ? `[${group}]` : char;
+    });
+    if (_spacedWordCharPattern.test(firstChar)) {
+        source = `(?<!${SPACED_WORD_CHAR})${source}`;
+    }
+    if (isPrefix) {
+        source += `${SPACED_WORD_CHAR}*`;
+    } else if (_spacedWordCharPattern.test(lastChar)) {
+        source += `(?!${SPACED_WORD_CHAR})`;
+    }
+    return source;
+}
+
+/**
+ * Identify one verse of one author in one text, as stored in index postings.
+ * Root verses have no author.
+ */
+function postingKey(urlKey, verseIndex, author) {
+    return `${urlKey}\u0000${verseIndex}\u0000${author || ''}`;
+}
+
+// NEAR without a distance: at most this many words apart
+const NEAR_DEFAULT_DISTANCE = 10;
+const _nearOperatorPattern = /^NEAR(?:\/(\d+))?$/;
+// A word of a spaced script, or one character of an unspaced one, counted
+// as one word for NEAR
+const _nearWordPattern = new RegExp(`${SPACED_WORD_CHAR}+|${WORD_CHAR_CLASS}`, 'gu');
+
+/**
+ * Parse search box syntax. Terms are returned as typed; see normalizeSearchQuery.
+ *   word              must appear as a whole word
+ *   word*             a word starting with this must appear
+ *   "a phrase"        must appear as written, whole words in this order
+ *   -word, -"phrase"  must not appear
+ *   a OR b            either may appear; OR joins only its two neighbours,
+ *                     so `mind a OR b` needs mind and one of a, b
+ *   a NEAR/n b        both must appear, at most n words apart (NEAR alone:
+ *                     NEAR_DEFAULT_DISTANCE); NEAR also joins only its two
+ *                     neighbours, so `a OR b NEAR/3 c` needs a or b near c
+ * @param {string} searchTerm - The text typed in the search box
+ * @returns {{clauses: string[][], excluded: string[], quoted: string[],
+ *   near: Array<{clauses: number[], distance: number}>}} Every clause must
+ *   match; a clause matches when any one of its terms does. quoted lists the
+ *   positive terms typed in quotes, which search as written. near pairs the
+ *   indexes of clauses that must match close together.
+ */
+function parseSearchQuery(searchTerm) {
+    const clauses = [];
+    const excluded = [];
+    const quoted = [];
+    const near = [];
+    let joinNext = false;
+    let nearDistance = null;
+
+    // Straight or curly quotes; an unclosed quote runs to the end
+    const tokenPattern = /(-?)["“”]([^"“”]*)["“”]?|(\S+)/g;
+    let match;
+    while ((match = tokenPattern.exec(searchTerm || '')) !== null) {
+        const isPhrase = match[3] === undefined;
+        let term = isPhrase ? match[2].trim() : match[3];
+        let negated = isPhrase && match[1] === '-';
+
+        if (!isPhrase && term === 'OR') {
+            joinNext = clauses.length > 0;
+            continue;
+        }
+        const nearMatch = isPhrase ? null : term.match(_nearOperatorPattern);
+        if (nearMatch) {
+            nearDistance = clauses.length > 0
+                ? (nearMatch[1] ? parseInt(nearMatch[1], 10) : NEAR_DEFAULT_DISTANCE)
+                : null;
+            continue;
+        }
+        if (!isPhrase && term.length > 1 && term.startsWith('-')) {
+            term = term.substring(1);
+            negated = true;
+        }
+        if (term.length === 0) continue;
+
+        if (isPhrase && !negated) {
+            quoted.push(term);
+        }
+
+        if (negated) {
+            excluded.push(term);
+        } else if (joinNext) {
+            clauses[clauses.length - 1].push(term);
+        } else {
+            if (nearDistance !== null) {
+                near.push({ clauses: [clauses.length - 1, clauses.length], distance: nearDistance });
+            }
+            clauses.push([term]);
+        }
+        joinNext = false;
+        nearDistance = null;
+    }
+
+    return { clauses, excluded, quoted, near };
+}
+
+/**
+ * Normalize every term of a parsed query, dropping terms that normalize to
+ * nothing, and NEAR pairs whose clauses are dropped with them.
+ * @param {{clauses: string[][], excluded: string[], quoted: string[], near: Array}} query - From parseSearchQuery
+ * @param {Function} [normalize] - normalizeText, or foldDiacriticExact for diacritic-exact matching
+ * @returns {{clauses: string[][], excluded: string[], quoted: string[], near: Array}}
+ */
+function normalizeSearchQuery(query, normalize = normalizeText) {
+    const normalizeTerms = terms => terms
+        .map(term => normalize(term).trim())
+        .filter(term => parseSearchTerm(term).text.length > 0);
+
+    // Clause index before -> after dropping empty clauses
+    const clauses = [];
+    const clauseIndexes = query.clauses.map(clause => {
+        const terms = normalizeTerms(clause);
+        if (terms.length === 0) return -1;
+        clauses.push(terms);
+        return clauses.length - 1;
+    });
+
+    return {
+        clauses: clauses,
+        excluded: normalizeTerms(query.excluded),
+        quoted: normalizeTerms(query.quoted || []),
+        near: (query.near || [])
+            .map(pair => ({ ...pair, clauses: pair.clauses.map(index => clauseIndexes[index]) }))
+            .filter(pair => pair.clauses.every(index => index >= 0))
+    };
+}
+
+/**
+ * The terms a result can be matched on: every alternative of every clause,
+ * excluded terms left out. Used for scoring and highlighting. Prefix terms
+ * keep their trailing '*'.
+ * @param {{clauses: string[][]}} query
+ * @returns {string[]}
+ */
+function searchQueryTerms(query) {
+    return query.clauses.flat();
+}
+
+/**
+ * Test a normalized verse against a normalized query.
+ * A query with no positive terms matches nothing.
+ * @param {string} normalizedVerse
+ * @param {{clauses: string[][], excluded: string[]}} query - From normalizeSearchQuery
+ * @returns {boolean}
+ */
+function matchesSearchQuery(normalizedVerse, query) {
+    if (query.clauses.length === 0) return false;
+
+    // Chinese and Japanese words match when all their bigrams are present,
+    // together or apart; quoted ones must appear as written
+    const matchesTerm = term => {
+        const { text } = parseSearchTerm(term);
+        if (isCjkText(text) && !(query.quoted || []).includes(term)) {
+            return cjkNgrams(text).every(ngram => normalizedVerse.includes(ngram));
+        }
+        return containsSearchTerm(normalizedVerse, term);
+    };
+
+    return query.clauses.every(clause => clause.some(matchesTerm)) &&
+        !query.excluded.some(term => containsSearchTerm(normalizedVerse, term)) &&
+        (query.near || []).every(pair => clausesAreNear(normalizedVerse, query, pair));
+}
+
+/**
+ * Whether a term of each clause of a NEAR pair occurs in normalized text at
+ * most the pair's distance in words apart.
+ * @param {string} normalizedText
+ * @param {{clauses: string[][]}} query
+ * @param {{clauses: number[], distance: number}} pair
+ * @returns {boolean}
+ */
+function clausesAreNear(normalizedText, query, pair) {
+    // Start offset of each word, to count words between positions
+    const wordStarts = Array.from(normalizedText.matchAll(_nearWordPattern), match => match.index);
+    const wordAt = position => {
+        let low = 0;
+        let high = wordStarts.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (wordStarts[middle] <= position) low = middle + 1;
+            else high = middle;
+        }
+        return low - 1;
+    };
+
+    const [first, second] = pair.clauses.map(index => query.clauses[index]
+        .flatMap(term => searchTermPositions(normalizedText, term))
+        .map(wordAt));
+    return first.some(a => second.some(b => Math.abs(a - b) <= pair.distance));
 }
 
 /**
@@ -73,51 +714,878 @@ function normalizeText(text) {
  */
 let _sharedDb = null;
 
+/**
+ * Open the shared database, with a store for every data file of the data
+ * manifest. Stores of files added to the manifest later are created the next
+ * time it is opened: Dexie adds missing stores without a version change.
+ * Without the manifest (offline, before it was ever fetched) the database is
+ * opened with the stores it already has.
+ * @returns {Promise<Dexie>}
+ */
 function getSharedDatabase() {
     if (!_sharedDb) {
-        _sharedDb = new Dexie(DEXIE_DB_NAME);
-        _sharedDb.version(DEXIE_DB_VERSION).stores(generateStoreSchema());
+        _sharedDb = openSharedDatabase();
+        _sharedDb.catch(() => {
+            _sharedDb = null;
+        });
     }
     return _sharedDb;
 }
 
+async function openSharedDatabase() {
+    let manifest;
+    try {
+        manifest = await loadDataManifest();
+    } catch (error) {
+        console.error("Error loading the data manifest, opening the stored texts as they are:", error);
+        const db = new Dexie(DEXIE_DB_NAME);
+        await db.open();
+        return db;
+    }
+
+    const schema = generateStoreSchema(manifest);
+    const db = new Dexie(DEXIE_DB_NAME);
+    // Each upgrade runs once, for clients coming from an older version.
+    // The token index is derived from the stored records and its format
+    // follows the version: drop it so the loader rebuilds it.
+    db.version(8).stores(schema)
+        .upgrade(tx => tx.table(SEARCH_INDEX_STORE).clear());
+    // normalized_verse of Chinese and Japanese text now folds character
+    // variants: drop those stores so the loader fetches them again
+    db.version(9).stores(schema)
+        .upgrade(async tx => {
+            await tx.table(SEARCH_INDEX_STORE).clear();
+            for (const storeName of Object.keys(schema)) {
+                const parts = storeName.split('_');
+                if ((parts.length === 2 && parts[0] === 'lzh') || parts[1] === 'jpn') {
+                    await tx.table(storeName).clear();
+                }
+            }
+        });
+    // Adds the ranking statistics store, which the loader fills from the
+    // stored records
+    db.version(10).stores(schema);
+    // The ranking statistics now list collections and translators: drop
+    // them so the loader gathers them again
+    db.version(11).stores(schema)
+        .upgrade(tx => tx.table(SEARCH_STATS_STORE).clear());
+    // Adds the search history store
+    db.version(12).stores(schema);
+    // Adds the data files store. Stores loaded before it have no hash: the
+    // loader fetches them again, in the background, or empties those of
+    // languages it does not load (see clearUnhashedStores in dexie-loader.js).
+    db.version(13).stores(schema);
+    // Adds the load status store
+    db.version(DEXIE_DB_VERSION).stores(schema);
+    return db;
+}
+
+/**
+ * Empty a text store, with its index entries, ranking statistics, file hash
+ * and load status, so the loader loads it afresh when it is next asked for.
+ * Searches must forget what they read from it (see forgetStoreCaches).
+ * @param {Dexie} db
+ * @param {string} storeName
+ */
+async function clearStoreData(db, storeName) {
+    const tables = [db.table(storeName), db.table(SEARCH_INDEX_STORE), db.table(SEARCH_STATS_STORE),
+        db.table(DATA_FILES_STORE), db.table(LOAD_STATUS_STORE)];
+    await db.transaction('rw', tables, async () => {
+        await db.table(storeName).clear();
+        for (const indexName of [storeName, stagedIndexName(storeName)]) {
+            await db.table(SEARCH_INDEX_STORE)
+                .where('[store+term]')
+                .between([indexName, Dexie.minKey], [indexName, Dexie.maxKey])
+                .delete();
+        }
+        await db.table(SEARCH_STATS_STORE).delete(storeName);
+        await db.table(DATA_FILES_STORE).delete(storeName);
+        await db.table(LOAD_STATUS_STORE).delete(storeName);
+    });
+}
+
+// BM25 parameters: k1 caps what repeating a word adds, b sets how much a
+// long verse is discounted against the store's average
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Up to this fraction is added to a verse's relevance when its query words
+// are close together
+const PROXIMITY_BOOST = 0.5;
+// A verse holding a word in the form it was typed gains this fraction more of
+// what the word adds, over verses holding only its other forms
+const TYPED_FORM_BOOST = 0.25;
+
+/**
+ * Ranking statistics, read once per page like the vocabulary: store ->
+ * { verseCount, tokenCount } or null, and store + word -> the number of
+ * verses containing the word (or, for a prefix word, the words it begins).
+ */
+const _storeStatistics = new Map();
+const _documentFrequencies = new Map();
+
+/**
+ * Read what scoreAndSortResults needs to rank results from these stores for
+ * these words. Stores without statistics are ranked on the results alone.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {string[]} searchWords - Normalized search words; prefix words keep
+ *   their trailing '*'
+ */
+async function loadRankingStatistics(db, storeNames, searchWords) {
+    const index = db.table(SEARCH_INDEX_STORE);
+    for (const storeName of storeNames) {
+        if (!_storeStatistics.has(storeName)) {
+            const stats = await db.table(SEARCH_STATS_STORE).get(storeName);
+            _storeStatistics.set(storeName, stats || null);
+        }
+        if (!_storeStatistics.get(storeName)) continue;
+
+        for (const word of searchWords) {
+            const key = `${storeName}\u0000${word}`;
+            if (_documentFrequencies.has(key)) continue;
+
+            const { text, isPrefix } = parseSearchTerm(word);
+            const tokens = tokenizeText(text);
+            if (tokens.length === 0) continue;
+
+            // A phrase occurs in no more verses than its rarest word; a
+            // prefix in as many as the words it begins, summed
+            const frequencies = [];
+            for (let i = 0; i < tokens.length; i++) {
+                if (isPrefix && i === tokens.length - 1) {
+                    let frequency = 0;
+                    await index.where('[store+term]')
+                        .between([storeName, tokens[i]], [storeName, `${tokens[i]}\uffff`], true, true)
+                        .each(entry => { frequency += entry.postings.length; });
+                    frequencies.push(frequency);
+                } else {
+                    const entry = await index.get([storeName, tokens[i]]);
+                    frequencies.push(entry ? entry.postings.length : 0);
+                }
+            }
+            _documentFrequencies.set(key, Math.min(...frequencies));
+        }
+    }
+}
+
 /**
  * Score search results by relevance.
  * Lower score = better match.
+ * Words are weighted by BM25: a word counts for more the more often it
+ * occurs in a verse, the rarer it is in the verse's store and the shorter the
+ * verse is. Verses whose words are close together are then boosted.
+ * The forms a word was searched in are counted together as that one word,
+ * so a rare inflection does not outweigh the form that was typed.
+ * Uses the statistics read by loadRankingStatistics.
  * @param {Array} verses - Array of verse objects with normalized_verse property
  * @param {string} normalizedSearchTerm - The full normalized search phrase
- * @param {string[]} searchWords - Individual normalized search words
+ * @param {string[]} searchWords - Individual normalized search words; a
+ *   prefix word (`sati*`) counts every word it begins
+ * @param {Array<{term: string, forms: string[]}>} [wordForms] - The search
+ *   words searched in several forms (see expandPaliQuery, correctSearchQuery)
  * @returns {Array} Scored and sorted results
  */
-function scoreAndSortResults(verses, normalizedSearchTerm, searchWords) {
-    const scored = verses.map(verse => {
-        let score = 0;
-        const nv = verse.normalized_verse;
+function scoreAndSortResults(verses, normalizedSearchTerm, searchWords, wordForms = []) {
+    const words = Array.from(new Set(searchWords)).filter(word => word.length > 0);
 
-        // Exact phrase match bonus
-        if (nv.includes(normalizedSearchTerm)) {
-            score -= 0.5;
+    // The query words, each with the search words that are its forms
+    const terms = [];
+    words.forEach((word, w) => {
+        const entry = wordForms.find(({ term, forms }) => term === word || forms.includes(word));
+        const typed = entry ? entry.term : word;
+        let term = terms.find(existing => existing.typed === typed);
+        if (!term) {
+            term = { typed, forms: [] };
+            terms.push(term);
         }
+        term.forms.push(w);
+    });
 
-        // Average position of matched words (earlier = better)
-        let totalPosition = 0;
-        let matchCount = 0;
+    // Occurrences of each word in each verse; CJK words found as scattered
+    // bigrams count as a fraction of an occurrence, less the further apart
+    const analysed = verses.map(verse => {
+        const nv = verse.normalized_verse;
+        const wordFrequencies = words.map(word => {
+            const count = searchTermPositions(nv, word).length;
+            const { text } = parseSearchTerm(word);
+            if (count === 0 && isCjkText(text)) {
+                const span = cjkMatchSpan(nv, text);
+                return span ? text.length / span.length : 0;
+            }
+            return count;
+        });
+        const termFrequencies = terms.map(term =>
+            term.forms.reduce((sum, w) => sum + wordFrequencies[w], 0));
+        return { verse, length: Math.max(1, tokenizeText(nv).length), wordFrequencies, termFrequencies };
+    });
 
-        searchWords.forEach(word => {
-            const position = nv.indexOf(word);
-            if (position !== -1) {
-                totalPosition += position;
-                matchCount++;
+    // Per-store collection statistics, from the loader or else from the results
+    const statsByStore = new Map();
+    analysed.forEach(item => {
+        const storeName = item.verse.store;
+        if (!statsByStore.has(storeName)) {
+            statsByStore.set(storeName, { items: [], stored: _storeStatistics.get(storeName) || null });
+        }
+        statsByStore.get(storeName).items.push(item);
+    });
+    statsByStore.forEach((stats, storeName) => {
+        const { items, stored } = stats;
+        stats.verseCount = stored ? stored.verseCount : items.length;
+        stats.averageLength = stored
+            ? stored.tokenCount / Math.max(1, stored.verseCount)
+            : items.reduce((sum, item) => sum + item.length, 0) / items.length;
+        // A word's forms seldom share a verse: their verses are summed
+        stats.documentFrequencies = terms.map((term, t) => {
+            const keys = term.forms.map(w => `${storeName}\u0000${words[w]}`);
+            if (stored && keys.every(key => _documentFrequencies.has(key))) {
+                return keys.reduce((sum, key) => sum + _documentFrequencies.get(key), 0);
             }
+            return items.filter(item => item.termFrequencies[t] > 0).length;
+        });
+    });
+
+    const scored = analysed.map(({ verse, length, wordFrequencies, termFrequencies }) => {
+        const stats = statsByStore.get(verse.store);
+        const nv = verse.normalized_verse;
+
+        let relevance = 0;
+        termFrequencies.forEach((tf, t) => {
+            if (tf === 0) return;
+            const df = Math.min(stats.documentFrequencies[t], stats.verseCount);
+            const idf = Math.log(1 + (stats.verseCount - df + 0.5) / (df + 0.5));
+            const lengthNorm = 1 - BM25_B + BM25_B * length / stats.averageLength;
+            const typedForm = words.indexOf(terms[t].typed);
+            const boost = terms[t].forms.length > 1 && wordFrequencies[typedForm] > 0 ? 1 + TYPED_FORM_BOOST : 1;
+            relevance += boost * idf * tf * (BM25_K1 + 1) / (tf + BM25_K1 * lengthNorm);
         });
 
-        if (matchCount > 0) {
-            score += (totalPosition / matchCount) / nv.length;
+        // Proximity: how much of the shortest passage holding all the words
+        // found in the verse is taken up by the words themselves. A word is
+        // looked for in the form it was typed, else its first form found.
+        const present = [];
+        terms.forEach(term => {
+            const found = term.forms.filter(w => wordFrequencies[w] >= 1).map(w => words[w]);
+            if (found.length > 0) present.push(found.includes(term.typed) ? term.typed : found[0]);
+        });
+        if (present.length > 1) {
+            const span = nv.includes(normalizedSearchTerm)
+                ? { length: normalizedSearchTerm.length }
+                : searchTermsSpan(nv, present);
+            if (span) {
+                const wordsLength = present.reduce((sum, word) => sum + parseSearchTerm(word).text.length, 0);
+                relevance *= 1 + PROXIMITY_BOOST * Math.min(1, wordsLength / span.length);
+            }
         }
 
-        return { ...verse, score };
+        return { ...verse, score: -relevance };
     });
 
     scored.sort((a, b) => a.score - b.score);
     return scored;
-}
\ No newline at end of file
+}
+
+/**
+ * Index terms per store, read once per page. The loader announces every store
+ * it fills or replaces afterwards, and they are read again; see
+ * forgetStoreCaches.
+ */
+const _vocabularyCache = new Map();
+
+/**
+ * Forget what was read from stores whose texts have been loaded, replaced or
+ * removed: their index terms and ranking statistics are read again on the
+ * next search.
+ * @param {string[]} storeNames
+ */
+function forgetStoreCaches(storeNames) {
+    storeNames.forEach(storeName => {
+        _vocabularyCache.delete(storeName);
+        _storeStatistics.delete(storeName);
+        for (const key of _documentFrequencies.keys()) {
+            if (key.startsWith(`${storeName}\u0000`)) _documentFrequencies.delete(key);
+        }
+    });
+}
+
+async function getStoreVocabulary(db, storeName) {
+    if (!_vocabularyCache.has(storeName)) {
+        const termKeys = await db.table(SEARCH_INDEX_STORE)
+            .where('[store+term]')
+            .between([storeName, Dexie.minKey], [storeName, Dexie.maxKey])
+            .primaryKeys();
+        _vocabularyCache.set(storeName, termKeys);
+    }
+    return _vocabularyCache.get(storeName);
+}
+
+/**
+ * Union of the index terms of several stores.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @returns {Promise<Set<string>|null>} null when none of the stores is indexed
+ */
+async function getSearchVocabulary(db, storeNames) {
+    const vocabulary = new Set();
+    for (const storeName of storeNames) {
+        const termKeys = await getStoreVocabulary(db, storeName);
+        termKeys.forEach(([, term]) => vocabulary.add(term));
+    }
+    return vocabulary.size > 0 ? vocabulary : null;
+}
+
+// Fuzzy matching, tried when a query finds nothing: the most edits a word of
+// this many characters may be away from a vocabulary word, and how many of
+// the closest words it is searched as. Shorter words are too close to too
+// many others to be corrected.
+const FUZZY_MIN_LENGTH = 5;
+const FUZZY_MAX_CANDIDATES = 3;
+
+function maxEditDistance(length) {
+    if (length < FUZZY_MIN_LENGTH) return 0;
+    return length < 9 ? 1 : 2;
+}
+
+// A letter typed once for twice (nibanna for nibbāna) is the commonest slip,
+// in Pali above all: words are compared with their doubled letters single
+function collapseDoubledLetters(word) {
+    return word.replace(/(.)\1+/gu, '$1');
+}
+
+/**
+ * Edit distance between two words, counting a swap of neighbouring
+ * characters as one edit (optimal string alignment).
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance - Stop early once the distance must exceed this
+ * @returns {number} The distance, or maxDistance + 1 if it is larger
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMin = Math.min(rowMin, distance);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    return Math.min(row[b.length], maxDistance + 1);
+}
+
+/**
+ * Replace the words of a query that occur nowhere in the stores with the
+ * closest words that do, so "nibanna" is searched as "nibbana". Quoted,
+ * prefix and CJK terms, phrases and words shorter than FUZZY_MIN_LENGTH are
+ * left as typed. Of the words fewest edits away (doubled letters aside), up
+ * to FUZZY_MAX_CANDIDATES are searched: the closest as typed first, then
+ * the most used.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {{clauses: string[][], excluded: string[], quoted: string[]}} query - From normalizeSearchQuery
+ * @returns {Promise<{query: Object, corrections: Array<{term: string, candidates: string[]}>}|null>}
+ *   The corrected query and, per corrected word, its replacements with the
+ *   best first; null if nothing could be corrected
+ */
+async function correctSearchQuery(db, storeNames, query) {
+    const vocabulary = await getSearchVocabulary(db, storeNames);
+    if (!vocabulary) return null;
+
+    const corrections = [];
+    searchQueryTerms(query).forEach(term => {
+        if ((query.quoted || []).includes(term) || vocabulary.has(term) || isCjkText(term) ||
+            !/^[\p{L}\p{M}]+$/u.test(term) || corrections.some(c => c.term === term)) {
+            return;
+        }
+        const maxDistance = maxEditDistance(term.length);
+        if (maxDistance === 0) return;
+
+        const collapsedTerm = collapseDoubledLetters(term);
+        let candidates = [];
+        let bestDistance = maxDistance;
+        vocabulary.forEach(word => {
+            const distance = editDistance(collapsedTerm, collapseDoubledLetters(word), bestDistance);
+            if (distance < bestDistance && candidates.length > 0) {
+                candidates = [];
+            }
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                candidates.push(word);
+            }
+        });
+        if (candidates.length > 0) {
+            corrections.push({ term, candidates });
+        }
+    });
+
+    if (corrections.length === 0) return null;
+
+    // Of the closest words, prefer those fewest edits away as typed, then
+    // those used in the most verses
+    const index = db.table(SEARCH_INDEX_STORE);
+    for (const correction of corrections) {
+        const { term } = correction;
+        const distances = new Map(correction.candidates.map(word =>
+            [word, editDistance(term, word, term.length + word.length)]));
+        const usage = new Map(correction.candidates.map(word => [word, 0]));
+        for (const storeName of storeNames) {
+            const entries = await index.bulkGet(correction.candidates.map(word => [storeName, word]));
+            entries.forEach(entry => {
+                if (entry) usage.set(entry.term, usage.get(entry.term) + entry.postings.length);
+            });
+        }
+        correction.candidates = correction.candidates
+            .sort((a, b) => distances.get(a) - distances.get(b) || usage.get(b) - usage.get(a))
+            .slice(0, FUZZY_MAX_CANDIDATES);
+    }
+
+    return { query: correctQueryTerms(query, corrections), corrections };
+}
+
+/**
+ * Search each corrected word of a query as its replacements.
+ * @param {Object} query - A normalized query, possibly expanded
+ * @param {Array<{term: string, candidates: string[]}>} corrections - From correctSearchQuery
+ * @returns {Object} The corrected query
+ */
+function correctQueryTerms(query, corrections) {
+    const replace = term => {
+        const correction = corrections.find(c => c.term === term);
+        return correction ? correction.candidates : [term];
+    };
+    return { ...query, clauses: query.clauses.map(clause => Array.from(new Set(clause.flatMap(replace)))) };
+}
+
+/**
+ * Rewrite a search term as typed with each corrected word replaced by its
+ * best correction, keeping operators, quotes and excluded words.
+ * @param {string} searchTerm - The text typed in the search box
+ * @param {Array<{term: string, candidates: string[]}>} corrections - From correctSearchQuery
+ * @returns {string}
+ */
+function applySearchCorrections(searchTerm, corrections) {
+    return searchTerm.replace(/[\p{L}\p{M}]+/gu, word => {
+        const correction = corrections.find(c => c.term === normalizeText(word));
+        if (!correction) return word;
+        const replacement = correction.candidates[0];
+        // Keep a capital the word was typed with
+        return word[0] !== word[0].toLowerCase()
+            ? replacement[0].toUpperCase() + replacement.slice(1)
+            : replacement;
+    });
+}
+
+// Completions of a word being typed: how many are offered, and how many of
+// the shortest index terms starting with it are weighed to choose them
+const SEARCH_COMPLETION_LIMIT = 8;
+const SEARCH_COMPLETION_CANDIDATES = 100;
+
+/**
+ * Complete a word being typed with the index terms that start with it,
+ * those found in the most verses first. Each is given as it is written in
+ * the texts, so "sarip" completes to "Sāriputta".
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {string} prefix - Normalized (see normalizeText)
+ * @param {number} [limit]
+ * @returns {Promise<string[]>}
+ */
+async function getSearchCompletions(db, storeNames, prefix, limit = SEARCH_COMPLETION_LIMIT) {
+    // CJK text is indexed as character pairs, which complete nothing
+    if (!prefix || isCjkText(prefix)) return [];
+
+    // term -> stores it is indexed in; each store's terms are in order
+    const storesByTerm = new Map();
+    for (const storeName of storeNames) {
+        const termKeys = await getStoreVocabulary(db, storeName);
+        let low = 0;
+        let high = termKeys.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (termKeys[middle][1] < prefix) low = middle + 1;
+            else high = middle;
+        }
+        for (let i = low; i < termKeys.length && termKeys[i][1].startsWith(prefix); i++) {
+            const term = termKeys[i][1];
+            if (!storesByTerm.has(term)) storesByTerm.set(term, []);
+            storesByTerm.get(term).push(storeName);
+        }
+    }
+
+    const candidates = Array.from(storesByTerm.keys())
+        .sort((a, b) => a.length - b.length || (a < b ? -1 : 1))
+        .slice(0, SEARCH_COMPLETION_CANDIDATES);
+    if (candidates.length === 0) return [];
+
+    // Weigh each candidate by its postings, keeping one to read it from
+    const keys = candidates.flatMap(term => storesByTerm.get(term).map(storeName => [storeName, term]));
+    const entries = await db.table(SEARCH_INDEX_STORE).bulkGet(keys);
+    const weighed = new Map();
+    entries.forEach(entry => {
+        if (!entry || !entry.postings || entry.postings.length === 0) return;
+        const candidate = weighed.get(entry.term) || { term: entry.term, count: 0, store: entry.store, posting: entry.postings[0] };
+        candidate.count += entry.postings.length;
+        weighed.set(entry.term, candidate);
+    });
+
+    const best = Array.from(weighed.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+
+    // The written form of each term, from a verse it occurs in
+    const completions = [];
+    for (const { term, store, posting } of best) {
+        let written = term;
+        try {
+            const record = await db.table(store).get(posting.url_key);
+            const verses = posting.author
+                ? record && record.texts && record.texts[posting.author]
+                : record && record.root;
+            const verseObj = verses && verses[posting.verseindex];
+            if (verseObj && typeof verseObj.verse === 'string') {
+                written = verseObj.verse.split(_tokenSeparatorPattern)
+                    .find(word => normalizeText(word) === term) || term;
+            }
+        } catch (error) {
+            console.error(`Error reading a completion from ${store}:`, error);
+        }
+        if (!completions.includes(written)) completions.push(written);
+    }
+    return completions;
+}
+
+/**
+ * Look up the verses of a store that can match a query.
+ * A verse can only contain a term if each token of the term is a whole word
+ * of one of the verse's tokens (the last one may be a prefix for `word*`), so
+ * the postings of those index terms give every possible match, and the
+ * caller's containsSearchTerm test sorts out the rest. Excluded terms are
+ * left to that test.
+ * @param {Dexie} db
+ * @param {string} storeName
+ * @param {{clauses: string[][], excluded: string[]}} query - From normalizeSearchQuery
+ * @param {boolean} [acrossSegments] - Find the texts (one root or translator
+ *   each) holding every term in any of their verses; the posting keys are
+ *   then those of the texts, with no verse index
+ * @returns {Promise<Map<string, Set<string>>|null>} url_key -> posting keys,
+ *   or null when the store must be scanned instead (no index yet, or a term
+ *   with no letters or digits to look up)
+ */
+async function findIndexedCandidates(db, storeName, query, acrossSegments = false) {
+    if (query.clauses.length === 0) return new Map();
+
+    const termTokens = searchQueryTerms(query).map(term => tokenizeText(parseSearchTerm(term).text));
+    if (termTokens.some(tokens => tokens.length === 0)) return null;
+
+    const index = db.table(SEARCH_INDEX_STORE);
+    const vocabulary = await getStoreVocabulary(db, storeName);
+    if (vocabulary.length === 0) return null;
+
+    const intersect = (a, b) => new Set([...a].filter(key => b.has(key)));
+
+    // Posting keys of every verse with a token containing this one as a
+    // whole word, or as a word prefix when tokenTerm ends in '*'
+    const postingsByToken = new Map();
+    async function postingsContaining(tokenTerm) {
+        if (!postingsByToken.has(tokenTerm)) {
+            const { text } = parseSearchTerm(tokenTerm);
+            const termKeys = vocabulary.filter(([, term]) =>
+                term.includes(text) && containsSearchTerm(term, tokenTerm));
+            const entries = await index.bulkGet(termKeys);
+
+            const postings = new Set();
+            entries.forEach(entry => {
+                if (!entry) return;
+                entry.postings.forEach(posting => {
+                    postings.add(postingKey(posting.url_key, acrossSegments ? '' : posting.verseindex, posting.author));
+                });
+            });
+            postingsByToken.set(tokenTerm, postings);
+        }
+        return postingsByToken.get(tokenTerm);
+    }
+
+    async function postingsForTerm(term) {
+        const { text, isPrefix } = parseSearchTerm(term);
+        const tokens = tokenizeText(text);
+        let postings = null;
+        for (let i = 0; i < tokens.length; i++) {
+            const isLast = i === tokens.length - 1;
+            const tokenPostings = await postingsContaining(isPrefix && isLast ? `${tokens[i]}*` : tokens[i]);
+            postings = postings === null ? tokenPostings : intersect(postings, tokenPostings);
+            if (postings.size === 0) break;
+        }
+        return postings;
+    }
+
+    let candidates = null;
+
+    for (const clause of query.clauses) {
+        const clausePostings = new Set();
+        for (const term of clause) {
+            (await postingsForTerm(term)).forEach(key => clausePostings.add(key));
+        }
+
+        candidates = candidates === null ? clausePostings : intersect(candidates, clausePostings);
+        if (candidates.size === 0) break;
+    }
+
+    const byUrlKey = new Map();
+    candidates.forEach(key => {
+        const urlKey = key.slice(0, key.indexOf('\u0000'));
+        if (!byUrlKey.has(urlKey)) byUrlKey.set(urlKey, new Set());
+        byUrlKey.get(urlKey).add(key);
+    });
+    return byUrlKey;
+}
+
+/**
+ * Visit the records of a store that may contain a match for a query.
+ * Uses the token index when it can and falls back to a full scan otherwise.
+ * Records are visited in primary key order either way, so results come out
+ * in the same order.
+ * @param {Dexie} db
+ * @param {string} storeName
+ * @param {{clauses: string[][], excluded: string[]}|null} query - From
+ *   normalizeSearchQuery, or null to visit every record
+ * @param {Function} callback - (record, urlKey, candidates) where candidates is
+ *   the Set of posting keys worth testing, or null to test every verse.
+ *   Returning false stops the visit.
+ * @param {Object|null} [filters] - From normalizeSearchFilters; records
+ *   outside the filtered collections are never read
+ * @param {boolean} [acrossSegments] - Visit the records holding every term
+ *   anywhere in one text, not only in one verse; candidates is then null
+ */
+async function forEachCandidateRecord(db, storeName, query, callback, filters = null, acrossSegments = false) {
+    const table = db.table(storeName);
+    const candidates = query ? await findIndexedCandidates(db, storeName, query, acrossSegments) : null;
+
+    if (candidates === null) {
+        const collection = filters && filters.collections
+            ? table.where(':id').startsWithAnyOf(filters.collections)
+            : table.toCollection();
+        let stopped = false;
+        await collection.until(() => stopped).each((record, cursor) => {
+            if (!urlKeyMatchesFilters(cursor.primaryKey, filters)) return;
+            stopped = callback(record, cursor.primaryKey, null) === false;
+        });
+        return;
+    }
+
+    const urlKeys = [...candidates.keys()].filter(urlKey => urlKeyMatchesFilters(urlKey, filters)).sort();
+    if (urlKeys.length === 0) return;
+
+    const records = await table.bulkGet(urlKeys);
+    for (let i = 0; i < records.length; i++) {
+        const verseCandidates = acrossSegments ? null : candidates.get(urlKeys[i]);
+        if (callback(records[i], urlKeys[i], verseCandidates) === false) break;
+    }
+}
+
+// Matching across segments: the most consecutive verses joined into one hit
+const SEGMENT_SPAN_LIMIT = 3;
+
+/**
+ * Find the verses of one text (its root, or one translator's) that match.
+ * With acrossSegments, a sentence split over consecutive verses matches too:
+ * runs of up to SEGMENT_SPAN_LIMIT verses are tested trimmed and joined by a
+ * space, and each is found once, as the shortest run that needs its first verse.
+ * @param {Object} verses - verseIndex -> {verse, normalized_verse}, in text order
+ * @param {Function} matches - (verse, normalizedVerse) => boolean, for one
+ *   verse or a joined run
+ * @param {Function|null} isCandidate - verseIndex => whether the token index
+ *   allows the verse to match on its own; null to test every verse
+ * @param {boolean} acrossSegments
+ * @returns {Array<{verseindex: string, verse: string, normalized_verse: string,
+ *   segments?: string[]}>} segments lists the verse indexes of a run, the
+ *   first of which is verseindex
+ */
+function matchTextVerses(verses, matches, isCandidate, acrossSegments) {
+    const entries = [];
+    for (const verseIndex in verses) {
+        const verseObj = verses[verseIndex];
+        if (!verseObj || typeof verseObj.verse !== 'string') continue;
+        if (!acrossSegments && isCandidate && !isCandidate(verseIndex)) continue;
+
+        // Use pre-normalized text if available, otherwise normalize on the fly
+        const nv = verseObj.normalized_verse || normalizeText(verseObj.verse);
+        entries.push({ verseIndex, verse: verseObj.verse, nv, matched: matches(verseObj.verse, nv) });
+    }
+
+    const join = run => ({
+        verse: run.map(entry => entry.verse.trim()).join(' '),
+        nv: run.map(entry => entry.nv.trim()).join(' ')
+    });
+
+    const found = [];
+    entries.forEach((entry, i) => {
+        if (entry.matched) {
+            found.push({ verseindex: entry.verseIndex, verse: entry.verse, normalized_verse: entry.nv });
+            return;
+        }
+        if (!acrossSegments) return;
+
+        const lastEnd = Math.min(entries.length, i + SEGMENT_SPAN_LIMIT) - 1;
+        for (let end = i + 1; end <= lastEnd; end++) {
+            // A verse matching alone is found as itself
+            if (entries[end].matched) break;
+
+            const run = entries.slice(i, end + 1);
+            const joined = join(run);
+            if (!matches(joined.verse, joined.nv)) continue;
+
+            // Runs that match without their first verse are found from a later one
+            const rest = join(run.slice(1));
+            if (run.length > 2 && matches(rest.verse, rest.nv)) break;
+
+            found.push({
+                verseindex: entry.verseIndex,
+                verse: joined.verse,
+                normalized_verse: joined.nv,
+                segments: run.map(runEntry => runEntry.verseIndex)
+            });
+            break;
+        }
+    });
+    return found;
+}
+
+// Regular expression search: the prefix asking for it in the search box, and
+// how long one store may be scanned with a pattern. A pattern that is slow
+// to match gives up on the rest of the store instead of stalling the search.
+// The time is only checked between records: it cannot stop a pattern that
+// backtracks for long on a single verse. The page stops a search worker that
+// is stuck so (see SEARCH_WORKER_TIME_LIMIT in render_search.js).
+const REGEX_QUERY_PREFIX = 're:';
+const REGEX_STORE_TIME_LIMIT = 3000;
+
+/**
+ * Whether a search term is a regular expression, by option or by prefix.
+ * @param {string} searchTerm
+ * @param {Object} [options] - Search options; regex asks for it
+ * @returns {boolean}
+ */
+function isRegexSearch(searchTerm, options = {}) {
+    return Boolean(options && options.regex) || searchTerm.trim().startsWith(REGEX_QUERY_PREFIX);
+}
+
+/**
+ * Compile the regular expression of a search term, ignoring case. Without
+ * exactDiacritics it is matched against normalized verses, so its own
+ * diacritics are dropped and its characters folded the same way.
+ * @param {string} searchTerm - The pattern, with or without the re: prefix
+ * @param {boolean} exactDiacritics - Match against the verse as written
+ * @returns {RegExp}
+ * @throws {SyntaxError} If the pattern is not a valid regular expression
+ */
+function compileSearchRegex(searchTerm, exactDiacritics) {
+    let pattern = searchTerm.trim();
+    if (pattern.startsWith(REGEX_QUERY_PREFIX)) {
+        pattern = pattern.slice(REGEX_QUERY_PREFIX.length).trim();
+    }
+    pattern = exactDiacritics
+        ? pattern.normalize('NFC')
+        : foldCjkVariants(pattern.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+    return new RegExp(pattern, 'iu');
+}
+
+/**
+ * Collect the verses of root or translation stores matching a regular
+ * expression. The token index cannot narrow a pattern down, so every record
+ * is read; a store still being scanned after REGEX_STORE_TIME_LIMIT is left
+ * unfinished, once the verse being matched is done.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {RegExp} regex - From compileSearchRegex
+ * @param {boolean} exactDiacritics - Match the verse as written, not normalized
+ * @param {boolean} acrossSegments - Match runs of verses too (see matchTextVerses)
+ * @param {Object|null} filters - From normalizeSearchFilters
+ * @param {AbortSignal} [signal]
+ * @param {Function} [onBatch] - Called with the matches of each store
+ * @returns {Promise<{matches: Array, timedOutStores: string[]}>} Matches in
+ *   store and text order, with score 0
+ */
+async function findRegexMatches(db, storeNames, regex, exactDiacritics, acrossSegments, filters, signal, onBatch) {
+    const matches = [];
+    const timedOutStores = [];
+
+    for (const storeName of storeNames) {
+        if (signal) signal.throwIfAborted();
+        const storeStart = matches.length;
+        const deadline = Date.now() + REGEX_STORE_TIME_LIMIT;
+
+        const testVerses = (verses, urlKey, author) => {
+            const matchesRegex = (verse, nv) => regex.test(exactDiacritics ? verse : nv);
+            matchTextVerses(verses, matchesRegex, null, acrossSegments).forEach(found => {
+                const match = { url_key: urlKey, ...found, store: storeName, score: 0 };
+                if (author) match.author = author;
+                matches.push(match);
+            });
+        };
+
+        try {
+            await forEachCandidateRecord(db, storeName, null, (record, urlKey) => {
+                if (Date.now() > deadline) {
+                    timedOutStores.push(storeName);
+                    return false;
+                }
+                if (!record) return;
+                if (record.root) testVerses(record.root, urlKey, null);
+                if (record.texts) {
+                    for (const author in record.texts) {
+                        if (authorMatchesFilters(author, filters)) {
+                            testVerses(record.texts[author], urlKey, author);
+                        }
+                    }
+                }
+            }, filters);
+        } catch (error) {
+            console.error(`Error processing store ${storeName}:`, error);
+        }
+
+        if (onBatch && matches.length > storeStart) {
+            onBatch(matches.slice(storeStart));
+        }
+    }
+
+    return { matches, timedOutStores };
+}
+
+/**
+ * Search stores with the regular expression of a search term, for
+ * rootLanguageSearch and languageAwareSearch. An invalid pattern finds
+ * nothing and is reported in searchInfo.regexError; stores left unfinished
+ * are added to searchInfo.timedOutStores.
+ * @param {Dexie} db
+ * @param {string[]} storeNames
+ * @param {string} searchTerm
+ * @param {Object|null} filters - From normalizeSearchFilters
+ * @param {Object} options - The search function's options
+ * @returns {Promise<Array>}
+ */
+async function regexSearchStores(db, storeNames, searchTerm, filters, options) {
+    let regex;
+    try {
+        regex = compileSearchRegex(searchTerm, Boolean(options.exactDiacritics));
+    } catch (error) {
+        if (options.searchInfo) options.searchInfo.regexError = error.message;
+        return [];
+    }
+
+    const { matches, timedOutStores } = await findRegexMatches(db, storeNames, regex,
+        Boolean(options.exactDiacritics), Boolean(options.acrossSegments), filters, options.signal, options.onBatch);
+    if (options.searchInfo && timedOutStores.length > 0) {
+        options.searchInfo.timedOutStores = (options.searchInfo.timedOutStores || []).concat(timedOutStores);
+    }
+    return matches;
+}
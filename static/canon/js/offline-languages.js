@@ -0,0 +1,172 @@
+// Languages whose texts are kept in this browser for searching offline.
+// A search page always loads the languages it searches (see
+// searchPageLanguages); the languages chosen here are loaded in the
+// background on every search page (see dexie-loader.js).
+// Requires dexie.js and dexie-shared.js to be loaded first
+
+const OFFLINE_LANGUAGES_KEY = 'buddhistTextsOfflineLanguages';
+
+/**
+ * The languages chosen to be kept offline.
+ * @returns {string[]}
+ */
+function getOfflineLanguages() {
+    try {
+        const languages = JSON.parse(localStorage.getItem(OFFLINE_LANGUAGES_KEY));
+        return Array.isArray(languages) ? languages.filter(language => typeof language === 'string') : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Keep a language offline or stop keeping it. A language kept from now on is
+ * loaded in the background by this page's loader.
+ * @param {string} language
+ * @param {boolean} keep
+ */
+function setOfflineLanguage(language, keep) {
+    const languages = new Set(getOfflineLanguages());
+    if (keep) {
+        languages.add(language);
+    } else {
+        languages.delete(language);
+    }
+    localStorage.setItem(OFFLINE_LANGUAGES_KEY, JSON.stringify(Array.from(languages).sort()));
+
+    if (keep) {
+        document.dispatchEvent(new CustomEvent('buddhist-texts-offline-languages', {
+            detail: { languages: [language] }
+        }));
+    }
+}
+
+/**
+ * Remove the stored texts of a language, with their index entries, ranking
+ * statistics, file hashes and load status. Visiting its search page loads
+ * them again.
+ * @param {string} language
+ * @returns {Promise<string[]>} The stores emptied
+ */
+async function removeLanguageData(language) {
+    const manifest = await loadDataManifest();
+    const db = await getSharedDatabase();
+    const tableNames = new Set(db.tables.map(table => table.name));
+    const storeNames = manifest.files
+        .filter(file => dataFileLanguage(file) === language && tableNames.has(file.store))
+        .map(file => file.store);
+
+    for (const storeName of storeNames) {
+        await clearStoreData(db, storeName);
+    }
+
+    // The search worker forgets what it read from them too
+    forgetStoreCaches(storeNames);
+    document.dispatchEvent(new CustomEvent('buddhist-texts-updated', {
+        detail: { stores: storeNames }
+    }));
+    return storeNames;
+}
+
+/**
+ * A language's name as the search pages link to it, e.g. "Deutsch".
+ * @param {string} language
+ * @returns {string}
+ */
+function offlineLanguageName(language) {
+    const link = document.querySelector(`a[href="/search/${language}.html"]`);
+    if (link && link.textContent.trim()) return link.textContent.trim();
+    try {
+        return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+        return language;
+    }
+}
+
+/**
+ * Add the panel choosing the languages kept offline, under the search form.
+ */
+async function createOfflineLanguagesPanel() {
+    const searchForm = document.getElementById('search-form');
+    if (!searchForm || document.getElementById('offline-languages')) return;
+
+    let manifest;
+    try {
+        manifest = await loadDataManifest();
+    } catch (error) {
+        console.error("Error reading the data manifest:", error);
+        return;
+    }
+    if (document.getElementById('offline-languages')) return;
+
+    // Download size of each language
+    const sizes = new Map();
+    manifest.files.forEach(file => {
+        const language = dataFileLanguage(file);
+        sizes.set(language, (sizes.get(language) || 0) + file.size);
+    });
+
+    const pageLanguages = searchPageLanguages(manifest, lang_code,
+        Boolean(document.getElementById('combined-search')));
+    const offlineLanguages = getOfflineLanguages();
+
+    const panel = document.createElement("details");
+    panel.id = "offline-languages";
+    panel.innerHTML = `
+        <summary>Languages kept offline</summary>
+        <p><small>The languages this page searches are always kept. The languages chosen here
+        are downloaded in the background and can be searched without a connection.</small></p>
+        <fieldset></fieldset>
+        <p class="offline-languages-status"></p>
+    `;
+
+    const fieldset = panel.querySelector('fieldset');
+    const status = panel.querySelector('.offline-languages-status');
+
+    [...manifest.root_languages, ...manifest.translation_languages].forEach(language => {
+        const label = document.createElement("label");
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.value = language;
+        checkbox.checked = pageLanguages.includes(language) || offlineLanguages.includes(language);
+        checkbox.disabled = pageLanguages.includes(language);
+
+        const megabytes = (sizes.get(language) || 0) / (1024 * 1024);
+        label.append(checkbox, ` ${offlineLanguageName(language)} `);
+        const small = document.createElement("small");
+        small.textContent = `(${megabytes < 0.1 ? '< 0.1' : megabytes.toFixed(1)} MB)`;
+        label.appendChild(small);
+        fieldset.appendChild(label);
+
+        checkbox.addEventListener('change', async () => {
+            const name = offlineLanguageName(language);
+            setOfflineLanguage(language, checkbox.checked);
+            if (checkbox.checked) {
+                status.textContent = `Downloading ${name} in the background...`;
+                return;
+            }
+            try {
+                await removeLanguageData(language);
+                status.textContent = `${name} is no longer kept offline.`;
+            } catch (error) {
+                console.error(`Error removing the texts of ${language}:`, error);
+                status.textContent = `Could not remove the stored texts of ${name}.`;
+            }
+        });
+    });
+
+    document.addEventListener('buddhist-texts-language-loaded', event => {
+        const { language, failed } = event.detail;
+        if (pageLanguages.includes(language)) return;
+        const name = offlineLanguageName(language);
+        status.textContent = failed > 0
+            ? `${name}: ${failed} of its files could not be downloaded.`
+            : `${name} is kept offline.`;
+    });
+
+    searchForm.after(panel);
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    createOfflineLanguagesPanel();
+});
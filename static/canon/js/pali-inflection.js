@@ -0,0 +1,153 @@
+// Pali inflection-aware search: expands a query word into its declined and
+// sandhi forms before matching, so "dhammo" also finds dhammaṁ, dhammassa...
+// Requires dexie-shared.js. Used by rootLanguageSearch for 'pli'.
+//
+// Everything here works on normalized text (see normalizeText), where long and
+// short vowels have merged and the nasals ṁ ṃ ṅ ñ ṇ have become m and n.
+
+// Case endings of the vowel stems, normalized. Consonant stems (rājā,
+// bhagavant, -in) are irregular enough to be left out.
+const PALI_DECLENSIONS = {
+    // dhamma, rūpa: masculine and neuter
+    a: ["a", "o", "am", "ena", "aya", "assa", "ato", "asma", "amha", "e", "asmim", "amhi",
+        "ani", "ehi", "ebhi", "anam", "esu"],
+    // gāthā: feminine
+    aa: ["a", "am", "aya", "ayam", "ayo", "ahi", "abhi", "anam", "asu", "e"],
+    // aggi, sati, bhikkhunī: masculine, feminine and neuter
+    i: ["i", "im", "ina", "ino", "isma", "imha", "issa", "ismim", "imhi", "ayo", "iyo",
+        "iya", "iyam", "ihi", "ibhi", "inam", "isu", "ini"],
+    // bhikkhu, dhātu: masculine, feminine and neuter
+    u: ["u", "um", "una", "uno", "usma", "umha", "ussa", "usmim", "umhi", "avo", "ave",
+        "uyo", "uya", "uyam", "uhi", "ubhi", "unam", "usu", "uni"]
+};
+
+// Endings generated as forms but never stripped to find a stem: read as the
+// neuter plural they would turn bhikkhunī into a form of bhikkhu.
+const PALI_UNSTRIPPED_ENDINGS = ["ani", "ini", "uni"];
+
+// Shorter stems are mostly particles and pronouns (ca, me, eva), which
+// should not be declined
+const PALI_MIN_STEM_LENGTH = 3;
+
+// Niggahīta before a stop is written ṁ or as the stop's own nasal (saṁgha,
+// saṅgha; taṁ ca, tañca), which normalize to m and n respectively
+const PALI_NASAL_BEFORE_STOP = /[mn](?=[kgcjtdpb])/g;
+const PALI_MAX_NASAL_VARIANTS = 8;
+
+/**
+ * Spell a word with every m/n choice for its niggahīta.
+ * @param {string} word - A normalized word
+ * @returns {string[]} The word and its variants
+ */
+function paliNasalVariants(word) {
+    let variants = [word];
+    for (const match of word.matchAll(PALI_NASAL_BEFORE_STOP)) {
+        if (variants.length >= PALI_MAX_NASAL_VARIANTS) break;
+        const other = match[0] === 'm' ? 'n' : 'm';
+        variants = variants.flatMap(variant => [
+            variant,
+            variant.substring(0, match.index) + other + variant.substring(match.index + 1)
+        ]);
+    }
+    return variants;
+}
+
+/**
+ * Every way of reading a word as stem + ending.
+ * @param {string} word - A normalized word
+ * @returns {Array<{declension: string, stem: string}>}
+ */
+function paliStemCandidates(word) {
+    const candidates = [];
+    for (const [declension, endings] of Object.entries(PALI_DECLENSIONS)) {
+        const stems = new Set();
+        endings.forEach(ending => {
+            if (PALI_UNSTRIPPED_ENDINGS.includes(ending) || !word.endsWith(ending)) return;
+            const stem = word.substring(0, word.length - ending.length);
+            if (stem.length >= PALI_MIN_STEM_LENGTH) stems.add(stem);
+        });
+        stems.forEach(stem => candidates.push({ declension, stem }));
+    }
+    return candidates;
+}
+
+/**
+ * Expand a normalized Pali word into its inflected forms.
+ * When a vocabulary is given, only forms found in it are kept, and of the
+ * possible stems only those with a fair share of attested forms are used,
+ * preferring the longer stem on a tie. A word found in the vocabulary is a
+ * form of its longest stem, which is always kept and counts the word among
+ * its forms: "saranam" is saraṇa + ṁ, not sara + ānaṁ, even where saraṇa has
+ * no other attested form.
+ * @param {string} word - A normalized word
+ * @param {Set<string>|null} vocabulary - Terms of the stores being searched
+ * @returns {string[]} Sorted forms, always including the word itself
+ */
+function paliWordForms(word, vocabulary) {
+    const isAttested = form => !vocabulary || vocabulary.has(form);
+
+    let candidates = paliStemCandidates(word).map(candidate => {
+        const forms = new Set();
+        PALI_DECLENSIONS[candidate.declension].forEach(ending => {
+            paliNasalVariants(candidate.stem + ending).forEach(form => {
+                // The word itself is attested under every reading; leave it
+                // out so it does not count towards any of them
+                if (form !== word && isAttested(form)) forms.add(form);
+            });
+        });
+        return { stem: candidate.stem, forms };
+    });
+
+    if (vocabulary) {
+        const longest = vocabulary.has(word)
+            ? Math.max(...candidates.map(candidate => candidate.stem.length))
+            : Infinity;
+        const isLongest = candidate => candidate.stem.length === longest;
+        const support = candidate => candidate.forms.size + (isLongest(candidate) ? 1 : 0);
+        candidates = candidates.filter(candidate => isLongest(candidate) || !candidates.some(other =>
+            other.stem.length > candidate.stem.length && support(other) >= support(candidate)));
+        const best = Math.max(0, ...candidates.map(support));
+        candidates = candidates.filter(candidate => isLongest(candidate) ||
+            (candidate.forms.size > 0 && support(candidate) * 2 >= best));
+    }
+
+    const allForms = new Set([word]);
+    paliNasalVariants(word).forEach(form => {
+        if (isAttested(form)) allForms.add(form);
+    });
+    candidates.forEach(candidate => candidate.forms.forEach(form => allForms.add(form)));
+
+    return Array.from(allForms).sort();
+}
+
+/**
+ * Replace each plain word of a query with the set of its inflected forms.
+ * Quoted terms, prefix terms, phrases and excluded terms are left as typed.
+ * @param {{clauses: string[][], excluded: string[], quoted: string[]}} query - From normalizeSearchQuery
+ * @param {Set<string>|null} vocabulary - Terms of the stores being searched
+ * @returns {{query: Object, expandedTerms: Array<{term: string, forms: string[]}>}}
+ */
+function expandPaliQuery(query, vocabulary) {
+    const expandedTerms = [];
+
+    const clauses = query.clauses.map(clause => {
+        const terms = new Set();
+        clause.forEach(term => {
+            if (query.quoted.includes(term) || !/^[a-z]+$/.test(term)) {
+                terms.add(term);
+                return;
+            }
+            const forms = paliWordForms(term, vocabulary);
+            if (forms.length > 1) {
+                expandedTerms.push({ term, forms });
+            }
+            forms.forEach(form => terms.add(form));
+        });
+        return Array.from(terms);
+    });
+
+    return {
+        query: { ...query, clauses },
+        expandedTerms
+    };
+}
@@ -0,0 +1,354 @@
+// Pali transliteration between IAST and the scripts Pali is printed in:
+// Sinhala, Thai, Devanagari, Myanmar and Lao. The root stores are romanized,
+// so root-language queries typed in any of these scripts are converted to
+// IAST before normalizeText (see rootLanguageSearch), and root verses can be
+// shown in the reader's script (see render_search.js).
+//
+// All five are abugidas: a consonant carries an inherent a unless a vowel
+// sign or a virama follows it. Thai and Lao write e and o before the
+// consonant they follow in speech; Thai, Lao and Myanmar write independent
+// vowels as a vowel sign on a carrier letter (อ, ອ, အ).
+
+const PALI_SCRIPTS = {
+    sinh: {
+        name: "සිංහල",
+        consonants: {
+            "ක": "k", "ඛ": "kh", "ග": "g", "ඝ": "gh", "ඞ": "ṅ",
+            "ච": "c", "ඡ": "ch", "ජ": "j", "ඣ": "jh", "ඤ": "ñ",
+            "ට": "ṭ", "ඨ": "ṭh", "ඩ": "ḍ", "ඪ": "ḍh", "ණ": "ṇ",
+            "ත": "t", "ථ": "th", "ද": "d", "ධ": "dh", "න": "n",
+            "ප": "p", "ඵ": "ph", "බ": "b", "භ": "bh", "ම": "m",
+            "ය": "y", "ර": "r", "ල": "l", "ව": "v", "ස": "s", "හ": "h", "ළ": "ḷ",
+            "ශ": "ś", "ෂ": "ṣ"
+        },
+        vowels: {
+            "අ": "a", "ආ": "ā", "ඉ": "i", "ඊ": "ī", "උ": "u", "ඌ": "ū",
+            "එ": "e", "ඒ": "e", "ඔ": "o", "ඕ": "o", "ඍ": "ṛ"
+        },
+        vowelSigns: {
+            "ා": "ā", "ි": "i", "ී": "ī", "ු": "u", "ූ": "ū",
+            "ෙ": "e", "ේ": "e", "ො": "o", "ෝ": "o", "ෘ": "ṛ"
+        },
+        viramas: ["්"],
+        niggahita: "ං",
+        visarga: "ඃ"
+    },
+    deva: {
+        name: "देवनागरी",
+        consonants: {
+            "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "ṅ",
+            "च": "c", "छ": "ch", "ज": "j", "झ": "jh", "ञ": "ñ",
+            "ट": "ṭ", "ठ": "ṭh", "ड": "ḍ", "ढ": "ḍh", "ण": "ṇ",
+            "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+            "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+            "य": "y", "र": "r", "ल": "l", "व": "v", "स": "s", "ह": "h", "ळ": "ḷ",
+            "श": "ś", "ष": "ṣ"
+        },
+        vowels: {
+            "अ": "a", "आ": "ā", "इ": "i", "ई": "ī", "उ": "u", "ऊ": "ū",
+            "ए": "e", "ओ": "o", "ऋ": "ṛ", "ॠ": "ṝ", "ऐ": "ai", "औ": "au"
+        },
+        vowelSigns: {
+            "ा": "ā", "ि": "i", "ी": "ī", "ु": "u", "ू": "ū",
+            "े": "e", "ो": "o", "ृ": "ṛ", "ॄ": "ṝ", "ै": "ai", "ौ": "au"
+        },
+        viramas: ["्"],
+        niggahita: "ं",
+        visarga: "ः",
+        digits: "०१२३४५६७८९",
+        punctuation: { "।": ".", "॥": "." }
+    },
+    thai: {
+        name: "ไทย",
+        consonants: {
+            "ก": "k", "ข": "kh", "ค": "g", "ฆ": "gh", "ง": "ṅ",
+            "จ": "c", "ฉ": "ch", "ช": "j", "ฌ": "jh", "ญ": "ñ",
+            "ฏ": "ṭ", "ฐ": "ṭh", "ฑ": "ḍ", "ฒ": "ḍh", "ณ": "ṇ",
+            "ต": "t", "ถ": "th", "ท": "d", "ธ": "dh", "น": "n",
+            "ป": "p", "ผ": "ph", "พ": "b", "ภ": "bh", "ม": "m",
+            "ย": "y", "ร": "r", "ล": "l", "ว": "v", "ส": "s", "ห": "h", "ฬ": "ḷ",
+            "อ": ""
+        },
+        vowels: {},
+        vowelSigns: { "า": "ā", "ิ": "i", "ี": "ī", "ุ": "u", "ู": "ū" },
+        prefixVowelSigns: { "เ": "e", "โ": "o" },
+        viramas: ["ฺ"],
+        niggahita: "ํ",
+        digits: "๐๑๒๓๔๕๖๗๘๙"
+    },
+    mymr: {
+        name: "မြန်မာ",
+        consonants: {
+            "က": "k", "ခ": "kh", "ဂ": "g", "ဃ": "gh", "င": "ṅ",
+            "စ": "c", "ဆ": "ch", "ဇ": "j", "ဈ": "jh", "ဉ": "ñ",
+            "ဋ": "ṭ", "ဌ": "ṭh", "ဍ": "ḍ", "ဎ": "ḍh", "ဏ": "ṇ",
+            "တ": "t", "ထ": "th", "ဒ": "d", "ဓ": "dh", "န": "n",
+            "ပ": "p", "ဖ": "ph", "ဗ": "b", "ဘ": "bh", "မ": "m",
+            "ယ": "y", "ရ": "r", "လ": "l", "ဝ": "v", "သ": "s", "ဟ": "h", "ဠ": "ḷ",
+            "ည": "ññ", "အ": ""
+        },
+        vowels: { "ဣ": "i", "ဤ": "ī", "ဥ": "u", "ဦ": "ū", "ဧ": "e", "ဩ": "o" },
+        // Two-character signs are tried first
+        vowelSigns: {
+            "ော": "o", "ေါ": "o",
+            "ာ": "ā", "ါ": "ā", "ိ": "i", "ီ": "ī", "ု": "u", "ူ": "ū", "ေ": "e"
+        },
+        // Medial letters stacked onto the preceding consonant
+        medials: { "ျ": "y", "ြ": "r", "ွ": "v", "ှ": "h" },
+        // Stacking virama inside a cluster, asat at the end of a word
+        viramas: ["္", "်"],
+        niggahita: "ံ",
+        digits: "၀၁၂၃၄၅၆၇၈၉",
+        punctuation: { "။": ".", "၊": "," },
+        ignored: ["့", "း"]
+    },
+    laoo: {
+        name: "ລາວ",
+        consonants: {
+            "ກ": "k", "ຂ": "kh", "ຄ": "g", "ຆ": "gh", "ງ": "ṅ",
+            "ຈ": "c", "ຉ": "ch", "ຊ": "j", "ຌ": "jh", "ຎ": "ñ",
+            "ຏ": "ṭ", "ຐ": "ṭh", "ຑ": "ḍ", "ຒ": "ḍh", "ຓ": "ṇ",
+            "ຕ": "t", "ຖ": "th", "ທ": "d", "ຘ": "dh", "ນ": "n",
+            "ປ": "p", "ຜ": "ph", "ພ": "b", "ຠ": "bh", "ມ": "m",
+            "ຍ": "y", "ຣ": "r", "ລ": "l", "ວ": "v", "ສ": "s", "ຫ": "h", "ຬ": "ḷ",
+            "ອ": ""
+        },
+        vowels: {},
+        vowelSigns: { "າ": "ā", "ິ": "i", "ີ": "ī", "ຸ": "u", "ູ": "ū" },
+        prefixVowelSigns: { "ເ": "e", "ໂ": "o" },
+        viramas: ["຺"],
+        niggahita: "ໍ",
+        digits: "໐໑໒໓໔໕໖໗໘໙"
+    }
+};
+
+// Joiners only shape conjuncts; they carry no sound
+const PALI_SCRIPT_JOINERS = ["‌", "‍"];
+
+/**
+ * Character -> { script, kind, value } for every script, built on first use.
+ */
+let _paliScriptLookup = null;
+
+function getPaliScriptLookup() {
+    if (_paliScriptLookup) return _paliScriptLookup;
+
+    _paliScriptLookup = new Map();
+    const add = (script, kind, entries) => {
+        Object.entries(entries || {}).forEach(([char, value]) => {
+            // Multi-character vowel signs are matched in readVowelSign
+            if (Array.from(char).length === 1) {
+                _paliScriptLookup.set(char, { script, kind, value });
+            }
+        });
+    };
+
+    for (const [script, table] of Object.entries(PALI_SCRIPTS)) {
+        add(script, 'consonant', table.consonants);
+        add(script, 'vowel', table.vowels);
+        add(script, 'vowelSign', table.vowelSigns);
+        add(script, 'prefixVowelSign', table.prefixVowelSigns);
+        add(script, 'medial', table.medials);
+        add(script, 'punctuation', table.punctuation);
+        table.viramas.forEach(char => _paliScriptLookup.set(char, { script, kind: 'virama', value: '' }));
+        _paliScriptLookup.set(table.niggahita, { script, kind: 'niggahita', value: 'ṁ' });
+        if (table.visarga) {
+            _paliScriptLookup.set(table.visarga, { script, kind: 'niggahita', value: 'ḥ' });
+        }
+        Array.from(table.digits || '').forEach((char, digit) => {
+            _paliScriptLookup.set(char, { script, kind: 'punctuation', value: String(digit) });
+        });
+        (table.ignored || []).forEach(char => _paliScriptLookup.set(char, { script, kind: 'ignored', value: '' }));
+    }
+    return _paliScriptLookup;
+}
+
+/**
+ * Match a vowel sign at position i, trying two-character signs first.
+ * @returns {{value: string, length: number}|null}
+ */
+function readVowelSign(chars, i, script) {
+    const signs = PALI_SCRIPTS[script].vowelSigns;
+    const pair = chars[i] + (chars[i + 1] || '');
+    if (chars[i + 1] !== undefined && signs[pair] !== undefined) {
+        return { value: signs[pair], length: 2 };
+    }
+    if (signs[chars[i]] !== undefined) {
+        return { value: signs[chars[i]], length: 1 };
+    }
+    return null;
+}
+
+/**
+ * Whether text contains letters of any of the supported scripts.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function hasPaliScript(text) {
+    const lookup = getPaliScriptLookup();
+    return Array.from(text || '').some(char => lookup.has(char));
+}
+
+/**
+ * Convert Pali in Sinhala, Thai, Devanagari, Myanmar or Lao script to IAST.
+ * Text in other scripts, Latin included, is passed through unchanged.
+ * @param {string} text
+ * @returns {string}
+ */
+function paliToIast(text) {
+    if (!text) return '';
+
+    const lookup = getPaliScriptLookup();
+    const chars = Array.from(text);
+    let out = '';
+    let pendingVowel = null;
+
+    for (let i = 0; i < chars.length; i++) {
+        const info = lookup.get(chars[i]);
+        if (!info) {
+            if (!PALI_SCRIPT_JOINERS.includes(chars[i])) out += chars[i];
+            continue;
+        }
+
+        switch (info.kind) {
+            case 'prefixVowelSign':
+                pendingVowel = info.value;
+                break;
+
+            case 'consonant': {
+                out += info.value;
+                let j = i + 1;
+                while (j < chars.length && lookup.has(chars[j]) && lookup.get(chars[j]).kind === 'medial') {
+                    out += lookup.get(chars[j]).value;
+                    j++;
+                }
+                while (PALI_SCRIPT_JOINERS.includes(chars[j])) j++;
+
+                const next = lookup.get(chars[j]);
+                const sign = j < chars.length ? readVowelSign(chars, j, info.script) : null;
+                if (next && next.kind === 'virama') {
+                    // A prefixed e/o belongs to the last consonant of the cluster
+                    j++;
+                } else if (sign) {
+                    out += sign.value;
+                    j += sign.length;
+                    pendingVowel = null;
+                } else {
+                    out += pendingVowel || 'a';
+                    pendingVowel = null;
+                }
+                i = j - 1;
+                break;
+            }
+
+            default:
+                out += info.value;
+        }
+    }
+
+    return out;
+}
+
+// IAST units, longest first: aspirates before their plain stops
+const IAST_UNIT_PATTERN = /(kh|gh|ch|jh|ṭh|ḍh|th|dh|ph|bh|[kgṅcjñṭḍṇtdnpbmyrlvshḷśṣ])|(ā|ī|ū|ṝ|[aiueoṛ])|([ṁṃḥ])|([\s\S])/gu;
+
+/**
+ * Write IAST Pali in one of the supported scripts.
+ * Characters that are not Pali letters are passed through unchanged.
+ * @param {string} text - IAST text
+ * @param {string} script - A key of PALI_SCRIPTS
+ * @returns {string}
+ */
+function iastToPaliScript(text, script) {
+    const table = PALI_SCRIPTS[script];
+    if (!table || !text) return text || '';
+
+    const invert = entries => {
+        const inverted = {};
+        Object.entries(entries || {}).forEach(([char, value]) => {
+            if (!(value in inverted)) inverted[value] = char;
+        });
+        return inverted;
+    };
+    const consonants = invert(table.consonants);
+    const vowels = invert(table.vowels);
+    const vowelSigns = invert(table.vowelSigns);
+    const prefixVowelSigns = invert(table.prefixVowelSigns);
+    const carrier = consonants[''];
+    const digits = Array.from(table.digits || '');
+
+    const units = Array.from(text.normalize('NFC').toLowerCase().matchAll(IAST_UNIT_PATTERN));
+    let out = '';
+
+    // A vowel written on its own, or after the consonant given
+    const writeVowel = (vowel, consonant) => {
+        if (prefixVowelSigns[vowel]) return prefixVowelSigns[vowel] + (consonant || carrier);
+        if (consonant) return consonant + (vowel === 'a' ? '' : (vowelSigns[vowel] || ''));
+        if (vowels[vowel]) return vowels[vowel];
+        return carrier + (vowel === 'a' ? '' : (vowelSigns[vowel] || ''));
+    };
+
+    for (let k = 0; k < units.length; k++) {
+        const [unit, consonant, vowel, nasal] = units[k];
+        const next = units[k + 1];
+
+        if (consonant && consonants[consonant] !== undefined) {
+            if (next && next[2]) {
+                out += writeVowel(next[2], consonants[consonant]);
+                k++;
+            } else {
+                // Myanmar stacks inside a cluster and marks a final consonant with asat
+                const virama = next && next[1] ? table.viramas[0] : table.viramas[table.viramas.length - 1];
+                out += consonants[consonant] + virama;
+            }
+        } else if (vowel) {
+            out += writeVowel(vowel, null);
+        } else if (nasal) {
+            out += nasal === 'ḥ' ? (table.visarga || nasal) : table.niggahita;
+        } else if (/[0-9]/.test(unit) && digits.length === 10) {
+            out += digits[Number(unit)];
+        } else {
+            out += unit;
+        }
+    }
+
+    return out;
+}
+
+// ASCII input conventions for diacritics, for keyboards without them.
+// Velthuis: aa ii uu, .m .n .t .d .l .r .s .h, ~n, and "n "s inside a word
+// (a word-initial " opens a quoted phrase).
+const VELTHUIS_RULES = [
+    [/aa/g, "ā"], [/ii/g, "ī"], [/uu/g, "ū"],
+    [/\.m/g, "ṁ"], [/\.n/g, "ṇ"], [/\.t/g, "ṭ"], [/\.d/g, "ḍ"], [/\.l/g, "ḷ"],
+    [/\.r/g, "ṛ"], [/\.s/g, "ṣ"], [/\.h/g, "ḥ"],
+    [/~n/g, "ñ"], [/(?<=\p{L})"n/gu, "ṅ"], [/(?<=\p{L})"s/gu, "ś"]
+];
+
+// Harvard-Kyoto capitals. They are only read after the first letter of a
+// word, so that capitalized names and the OR and NEAR/n operators stay as typed.
+const HARVARD_KYOTO_LETTERS = {
+    A: "ā", I: "ī", U: "ū", M: "ṁ", G: "ṅ", J: "ñ",
+    T: "ṭ", D: "ḍ", N: "ṇ", L: "ḷ", R: "ṛ", S: "ṣ", H: "ḥ"
+};
+
+/**
+ * Convert Velthuis and Harvard-Kyoto style input to IAST, e.g.
+ * "dhamma.m" and "dhammaM" to "dhammaṁ", "nibbaana" to "nibbāna",
+ * "pa~n~naa" to "paññā", and "z" (Harvard-Kyoto ś) to "ś".
+ * @param {string} text - Text as typed in the search box
+ * @returns {string}
+ */
+function asciiToIast(text) {
+    if (!text) return '';
+
+    return text.split(/(\s+)/).map(word => {
+        if (/^[A-Z]+(?:\/\d+)?$/.test(word)) return word;
+
+        let converted = word.replace(/(?<=\p{L}\S*)[AIUMGJTDNLRSH]/gu, letter => HARVARD_KYOTO_LETTERS[letter]);
+        VELTHUIS_RULES.forEach(([pattern, replacement]) => {
+            converted = converted.replace(pattern, replacement);
+        });
+        return converted.replace(/z/g, "ś");
+    }).join('');
+}
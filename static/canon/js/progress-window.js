@@ -48,6 +48,62 @@ const ProgressWindow = {
     }
   },
 
+  // Show a banner saying some files could not be loaded, with a button to
+  // try them again. Showing it again replaces it.
+  showFailures: function(failed, onRetry) {
+    this.hideFailures();
+
+    const container = document.createElement("article");
+    container.id = "progressFailures";
+    container.classList.add("container");
+    container.setAttribute("role", "alert");
+    container.style.position = "fixed";
+    container.style.top = "20px";
+    container.style.right = "20px";
+    container.style.maxWidth = "300px";
+    container.style.zIndex = "10000";
+
+    const header = document.createElement("header");
+    const title = document.createElement("h5");
+    title.textContent = "Some collections failed to download";
+    header.appendChild(title);
+    container.appendChild(header);
+
+    const text = document.createElement("p");
+    text.textContent = failed === 1
+      ? "1 collection could not be downloaded and is left out of searches."
+      : `${failed} collections could not be downloaded and are left out of searches.`;
+    container.appendChild(text);
+
+    const footer = document.createElement("footer");
+    const retryButton = document.createElement("button");
+    retryButton.type = "button";
+    retryButton.textContent = "Retry";
+    retryButton.addEventListener("click", () => {
+      this.hideFailures();
+      onRetry();
+    });
+    const dismissButton = document.createElement("button");
+    dismissButton.type = "button";
+    dismissButton.classList.add("secondary");
+    dismissButton.textContent = "Dismiss";
+    dismissButton.addEventListener("click", () => this.hideFailures());
+    footer.appendChild(retryButton);
+    footer.appendChild(document.createTextNode(" "));
+    footer.appendChild(dismissButton);
+    container.appendChild(footer);
+
+    document.body.appendChild(container);
+  },
+
+  // Remove the failure banner
+  hideFailures: function() {
+    const banner = document.getElementById("progressFailures");
+    if (banner && banner.parentNode) {
+      banner.parentNode.removeChild(banner);
+    }
+  },
+
   // Close/remove the progress window with a fade-out effect
   close: function() {
     const progressWindow = document.getElementById("progressWindow");
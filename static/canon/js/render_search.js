@@ -2,13 +2,53 @@
  * Buddhist Texts Search Handler
  * This file handles the search process as three distinct steps:
  * 1. Listen for search requests
- * 2. Execute search with appropriate search function
+ * 2. Execute search with appropriate search function (in search-worker.js
+ *    where Web Workers are available, on the main thread otherwise)
  * 3. Render results
  */
 
+// Resolve the worker next to this script so it loads wherever the static
+// files are served from. document.currentScript is only set while this
+// file is first evaluated.
+const SEARCH_WORKER_URL = document.currentScript
+    ? new URL('search-worker.js', document.currentScript.src).href
+    : '/static/canon/js/search-worker.js';
+
+// undefined until the first search; null when workers are unavailable
+let searchWorker;
+let nextSearchId = 1;
+// The search in flight: { id, cancel, resolve, reject, onBatch, watchdog }
+let pendingSearch = null;
+// A worker search not heard from in this long is stuck in one slow step,
+// such as a regular expression backtracking through a single verse, which
+// REGEX_STORE_TIME_LIMIT cannot interrupt. The worker is stopped and a new
+// one started for the next search. A worker posts progress every second.
+const SEARCH_WORKER_TIME_LIMIT = 10000;
+// The detail of the latest buddhist-texts-search event
+let currentSearch = null;
+// Loads more results as the end of the list scrolls into view
+let resultsObserver = null;
+// Settled once the loader has the texts this page searches in place, which it
+// announces on every visit, whether it loaded them or found them up to date
+const textsLoaded = new Promise(resolve => {
+    document.addEventListener('buddhist-texts-loaded', resolve, { once: true });
+});
+
+// Results rendered per page; see renderResults
+const RESULTS_PAGE_SIZE = 50;
+
+// Headings for results grouped by root language
+const ROOT_LANGUAGE_LABELS = {
+    pli: "Pali",
+    pra: "Prakrit",
+    san: "Sanskrit",
+    lzh: "Classical Chinese"
+};
+
 // Listen for the search event
 document.addEventListener('buddhist-texts-search', function(event) {
-    const { searchTerm, langCode } = event.detail;
+    const { searchTerm, langCode, searchOptions = {} } = event.detail;
+    currentSearch = event.detail;
 
     console.log(`Search requested: "${searchTerm}" in language: ${langCode}`);
 
@@ -26,23 +66,45 @@ document.addEventListener('buddhist-texts-search', function(event) {
         </div>
     `;
 
-    // Step 2: Execute the appropriate search based on language
-    executeSearch(searchTerm, langCode)
-        .then(results => {
-            // Step 3: Render the results
-            renderResults(results, searchTerm);
+    // Step 2: Execute the appropriate search based on language, showing the
+    // results found so far while it runs
+    let resultsSoFar = [];
+    const onBatch = batch => {
+        resultsSoFar = resultsSoFar.concat(batch);
+        renderResults(resultsSoFar, searchTerm, {}, true);
+    };
+
+    // Searches wait for the page's texts; a newer search replaces one
+    // still waiting
+    textsLoaded
+        .then(() => {
+            if (currentSearch !== event.detail) {
+                throw new DOMException('Search replaced', 'AbortError');
+            }
+            return executeSearch(searchTerm, langCode, searchOptions, onBatch);
+        })
+        .then(({ results, searchInfo }) => {
+            // Step 3: Render the results and remember the search, unless it
+            // was run while the term was still being typed
+            const resultCount = renderResults(results, searchTerm, searchInfo);
+            if (typeof recordSearch === 'function' && !event.detail.live) {
+                recordSearch(event.detail, resultCount);
+            }
         })
         .catch(error => {
+            // A newer search replaced this one and owns the results container
+            if (error.name === 'AbortError') return;
+
             console.error("Error during search:", error);
             resultsContainer.innerHTML = `
                 <div class="error-container">
                     <p>Error searching: ${error.message}</p>
-                    <button onclick="document.dispatchEvent(new CustomEvent('buddhist-texts-search', 
-                        { detail: { searchTerm: '${searchTerm}', langCode: '${langCode}' } }))">
-                        Try Again
-                    </button>
+                    <button>Try Again</button>
                 </div>
             `;
+            resultsContainer.querySelector('.error-container button').addEventListener('click', () => {
+                document.dispatchEvent(new CustomEvent('buddhist-texts-search', { detail: event.detail }));
+            });
         });
 });
 
@@ -50,43 +112,230 @@ document.addEventListener('buddhist-texts-search', function(event) {
  * Step 2: Execute the search with appropriate function based on language
  * @param {string} searchTerm - The term to search for
  * @param {string} langCode - The language code
- * @returns {Promise<Array>} - Promise resolving to results array
+ * @param {Object} [searchOptions] - Passed on to the search function, e.g.
+ *   { exactDiacritics: true }; with combined set, root texts and their
+ *   translations are searched together (see combinedSearch)
+ * @param {Function} [onBatch] - Called with each batch of matches, unranked,
+ *   as the search finds them
+ * @returns {Promise<{results: Array, searchInfo: Object}>} - Promise resolving to
+ *   the results and the details the search reported for the stats; rejects
+ *   with an AbortError if another search is started before it finishes
  */
-async function executeSearch(searchTerm, langCode) {
+async function executeSearch(searchTerm, langCode, searchOptions = {}, onBatch = null) {
     // Determine search function based on language code
-    const rootLanguages = ['pli', 'pra', 'san', 'lzh'];
+    let searchFunction = isRootLangCode(langCode) ? 'rootLanguageSearch' : 'languageAwareSearch';
+    if (searchOptions.combined) {
+        searchFunction = 'combinedSearch';
+    }
+
+    const { results, searchInfo } = await runSearch(searchFunction, searchTerm, langCode, searchOptions, onBatch);
+    console.log(`Found ${results.length} results using ${searchFunction}:`, results);
+    return { results, searchInfo };
+}
+
+/**
+ * Whether a page's lang_code searches root texts: one root language, or all
+ * of them on the root search page.
+ * @param {string} langCode
+ * @returns {boolean}
+ */
+function isRootLangCode(langCode) {
+    return ROOT_LANGUAGES.includes(langCode) || langCode === ALL_ROOTS_LANG_CODE;
+}
+
+/**
+ * Run a search function in the search worker, cancelling any search still in
+ * flight. Falls back to the main thread when no worker can be started.
+ * @param {string} searchFunction - 'languageAwareSearch', 'rootLanguageSearch'
+ *   or 'combinedSearch'
+ * @param {string} searchTerm - The term to search for
+ * @param {string} langCode - The language code
+ * @param {Object} searchOptions - Options for the search function; must be
+ *   cloneable, as they are posted to the worker
+ * @param {Function} [onBatch] - Called with each batch of matches found
+ * @returns {Promise<{results: Array, searchInfo: Object}>}
+ */
+function runSearch(searchFunction, searchTerm, langCode, searchOptions, onBatch) {
+    if (pendingSearch) {
+        const superseded = pendingSearch;
+        pendingSearch = null;
+        clearTimeout(superseded.watchdog);
+        superseded.cancel();
+        superseded.reject(new DOMException('Search cancelled', 'AbortError'));
+    }
 
-    if (rootLanguages.includes(langCode)) {
-        // Make sure rootLanguageSearch is available
-        if (typeof rootLanguageSearch !== 'function') {
-            throw new Error("Root language search function not available. Make sure the search script is loaded.");
+    const id = nextSearchId++;
+    const worker = getSearchWorker();
+
+    return new Promise((resolve, reject) => {
+        if (worker) {
+            pendingSearch = {
+                id,
+                resolve,
+                reject,
+                onBatch,
+                cancel: () => worker.postMessage({ type: 'cancel', id })
+            };
+            worker.postMessage({ type: 'search', id, searchFunction, searchTerm, langCode, searchOptions });
+            watchSearchWorker();
+            return;
         }
-        const results = await rootLanguageSearch(searchTerm, langCode);
-        console.log(`Found ${results.length} results using rootLanguageSearch:`, results);
-        return results;
-    } else {
-        // Use regular language search
-        if (typeof languageAwareSearch !== 'function') {
-            throw new Error("Search function not available. Make sure the search script is loaded.");
+
+        // Main-thread fallback
+        const search = self[searchFunction];
+        if (typeof search !== 'function') {
+            reject(new Error(`${searchFunction} not available. Make sure the search script is loaded.`));
+            return;
         }
-        const results = await languageAwareSearch(searchTerm, langCode);
-        console.log(`Found ${results.length} results using languageAwareSearch:`, results);
-        return results;
+        const controller = new AbortController();
+        const searchInfo = {};
+        pendingSearch = { id, resolve, reject, onBatch, cancel: () => controller.abort() };
+        const reportBatch = batch => {
+            if (pendingSearch && pendingSearch.id === id && onBatch) onBatch(batch);
+        };
+        search(searchTerm, langCode, { ...searchOptions, signal: controller.signal, searchInfo, onBatch: reportBatch })
+            .then(results => settleSearch(id, { results, searchInfo }, null))
+            .catch(error => settleSearch(id, null, error));
+    });
+}
+
+/**
+ * Resolve or reject the pending search if it is still the one with this id.
+ * Replies for superseded searches arrive late and are dropped.
+ */
+function settleSearch(id, outcome, error) {
+    if (!pendingSearch || pendingSearch.id !== id) return;
+
+    const { resolve, reject, watchdog } = pendingSearch;
+    pendingSearch = null;
+    clearTimeout(watchdog);
+    if (error) {
+        reject(error);
+    } else {
+        resolve(outcome);
+    }
+}
+
+// The loader replaced the texts of changed stores: the worker must read
+// their index terms and statistics again, as the page already does
+document.addEventListener('buddhist-texts-updated', event => {
+    if (searchWorker) {
+        searchWorker.postMessage({ type: 'forget', storeNames: event.detail.stores });
+    }
+});
+
+/**
+ * Give the pending worker search another SEARCH_WORKER_TIME_LIMIT to be
+ * heard from, before stopSearchWorker.
+ */
+function watchSearchWorker() {
+    const { id } = pendingSearch;
+    clearTimeout(pendingSearch.watchdog);
+    pendingSearch.watchdog = setTimeout(() => stopSearchWorker(id), SEARCH_WORKER_TIME_LIMIT);
+}
+
+/**
+ * Stop a search worker stuck on the search with this id, and fail the
+ * search. The next search starts a new worker.
+ * @param {number} id
+ */
+function stopSearchWorker(id) {
+    if (!pendingSearch || pendingSearch.id !== id || !searchWorker) return;
+
+    console.warn(`The search worker did not answer for ${SEARCH_WORKER_TIME_LIMIT / 1000}s and was stopped.`);
+    searchWorker.terminate();
+    searchWorker = undefined;
+    settleSearch(id, null, new Error(
+        "The search took too long and was stopped. A regular expression may be too slow to match; try a simpler one."));
+}
+
+/**
+ * Start the search worker on first use.
+ * @returns {Worker|null} The worker, or null if searches must run on the main thread
+ */
+function getSearchWorker() {
+    if (searchWorker !== undefined) return searchWorker;
+
+    if (typeof Worker === 'undefined') {
+        searchWorker = null;
+        return searchWorker;
+    }
+
+    try {
+        searchWorker = new Worker(SEARCH_WORKER_URL);
+    } catch (error) {
+        console.warn("Could not start the search worker, searching on the main thread:", error);
+        searchWorker = null;
+        return searchWorker;
     }
+
+    searchWorker.addEventListener('message', event => {
+        const { type, id, results, searchInfo, message } = event.data;
+
+        // Any word from the worker shows it is not stuck
+        if (pendingSearch && pendingSearch.id === id) watchSearchWorker();
+
+        // 'cancelled' replies are for superseded searches, already rejected
+        if (type === 'batch') {
+            if (pendingSearch && pendingSearch.id === id && pendingSearch.onBatch) {
+                pendingSearch.onBatch(results);
+            }
+        } else if (type === 'results') {
+            settleSearch(id, { results, searchInfo: searchInfo || {} }, null);
+        } else if (type === 'error') {
+            settleSearch(id, null, new Error(message));
+        }
+    });
+
+    // The worker script failed to load or crashed: fail the pending search
+    // and run later searches on the main thread
+    searchWorker.addEventListener('error', event => {
+        console.error("Search worker failed:", event.message);
+        searchWorker.terminate();
+        searchWorker = null;
+        if (pendingSearch) {
+            settleSearch(pendingSearch.id, null, new Error(event.message || "Search worker failed"));
+        }
+    });
+
+    return searchWorker;
 }
 
 /**
- * Step 3: Render search results to the page
+ * Step 3: Render search results to the page. The first page of results is
+ * rendered at once and the rest as the reader asks for them.
  * @param {Array} results - The search results
  * @param {string} searchTerm - The term that was searched for
+ * @param {Object} [searchInfo] - Details reported by the search function
+ * @param {boolean} [inProgress] - The results found so far by a search still
+ *   running, in the order found; rendered again as more arrive
+ * @returns {number} The number of results after duplicates are collapsed
  */
-function renderResults(results, searchTerm) {
+function renderResults(results, searchTerm, searchInfo = {}, inProgress = false) {
     const resultsContainer = document.getElementById('results');
     resultsContainer.innerHTML = "";
 
+    if (resultsObserver) {
+        resultsObserver.disconnect();
+        resultsObserver = null;
+    }
+
+    const filters = currentSearch && currentSearch.searchOptions
+        ? normalizeSearchFilters(currentSearch.searchOptions.filters)
+        : null;
+
     if (results.length === 0) {
-        resultsContainer.innerHTML = `<p>No results found for "${searchTerm}".</p>`;
-        return;
+        if (searchInfo.regexError) {
+            const errorParagraph = document.createElement("p");
+            // Some browsers' messages already say what is wrong
+            const message = searchInfo.regexError.replace(/^Invalid regular expression: /, '');
+            errorParagraph.textContent = `Invalid regular expression: ${message}`;
+            resultsContainer.appendChild(errorParagraph);
+        } else {
+            resultsContainer.innerHTML = `<p>No results found for "${searchTerm}"${filters ? ' with these filters' : ''}.</p>`;
+        }
+        appendRegexTimeouts(resultsContainer, searchInfo.timedOutStores);
+        return 0;
     }
 
     // Group results by category. Driven by TEXT_CATEGORIES (dexie-shared.js) so
@@ -100,23 +349,51 @@ function renderResults(results, searchTerm) {
     const knownCategories = typeof TEXT_CATEGORIES !== 'undefined'
         ? TEXT_CATEGORIES
         : Object.keys(categoryLabels);
-    const categories = {};
-    knownCategories.forEach(name => {
-        categories[categoryLabels[name] || name] = [];
-    });
+    const emptyCategories = () => {
+        const categories = {};
+        knownCategories.forEach(name => {
+            categories[categoryLabels[name] || name] = [];
+        });
+        return categories;
+    };
 
-    // Track verse indices we've already seen to avoid duplicates
-    const seenVerseIndices = new Set();
+    // Combined results are segments carrying their root line and translations
+    const combined = results.some(result => Array.isArray(result.translations));
+
+    // Searching all root languages, results are grouped by language first
+    // (language label -> category label -> results); otherwise there is one
+    // group, with no label. Combined results from a translation page come
+    // from every root language too.
+    const byLanguage = lang_code === ALL_ROOTS_LANG_CODE ||
+        (combined && !ROOT_LANGUAGES.includes(lang_code));
+    const groups = new Map();
+    if (byLanguage) {
+        ROOT_LANGUAGES.forEach(language => {
+            groups.set(ROOT_LANGUAGE_LABELS[language] || language, emptyCategories());
+        });
+    } else {
+        groups.set(null, emptyCategories());
+    }
+
+    // Results of the same segment are collapsed into the best ranked one,
+    // which lists the translators of the others (see resultDedupKey)
+    const dedupPolicy = getResultDedupPolicy();
+    const survivors = new Map();
+    const collapsedAuthors = new Map();
 
     // Categorize the results based on the store name (filtering out duplicates)
     results.forEach(result => {
-        // Skip this result if we've already seen this verse index
-        if (seenVerseIndices.has(result.verseindex)) {
+        const dedupKey = resultDedupKey(result, dedupPolicy);
+        const survivor = survivors.get(dedupKey);
+        if (survivor) {
+            if (result.author && result.author !== survivor.author &&
+                !collapsedAuthors.get(survivor).includes(result.author)) {
+                collapsedAuthors.get(survivor).push(result.author);
+            }
             return;
         }
-
-        // Mark this verse index as seen
-        seenVerseIndices.add(result.verseindex);
+        survivors.set(dedupKey, result);
+        collapsedAuthors.set(result, []);
 
         let categoryName = null;
 
@@ -136,25 +413,69 @@ function renderResults(results, searchTerm) {
             categoryName = knownCategories.find(name => segments.includes(name)) || 'sutta';
         }
 
-        categories[categoryLabels[categoryName] || categoryName].push(result);
+        let groupLabel = null;
+        if (byLanguage) {
+            const language = (result.store || '').split('_')[0];
+            groupLabel = ROOT_LANGUAGE_LABELS[language] || language;
+            if (!groups.has(groupLabel)) groups.set(groupLabel, emptyCategories());
+        }
+
+        groups.get(groupLabel)[categoryLabels[categoryName] || categoryName].push(result);
     });
 
     // Count the total number of unique results after filtering duplicates
-    const countsByLabel = Object.entries(categories);
-    const totalUniqueResults = countsByLabel.reduce((sum, [, list]) => sum + list.length, 0);
-    const breakdown = countsByLabel
+    const describeCounts = categories => Object.entries(categories)
         .filter(([, list]) => list.length > 0)
         .map(([label, list]) => `${list.length} ${label}`)
         .join(', ');
+    const countResults = categories => Object.values(categories)
+        .reduce((sum, list) => sum + list.length, 0);
+
+    const totalUniqueResults = Array.from(groups.values())
+        .reduce((sum, categories) => sum + countResults(categories), 0);
+    const breakdown = byLanguage
+        ? Array.from(groups)
+            .filter(([, categories]) => countResults(categories) > 0)
+            .map(([label, categories]) => `${countResults(categories)} ${label} (${describeCounts(categories)})`)
+            .join(', ')
+        : describeCounts(groups.get(null));
 
     // Add search stats
     const searchStatsDiv = document.createElement("div");
     searchStatsDiv.className = "search-stats";
-    searchStatsDiv.innerHTML = `
-        <p>Found ${totalUniqueResults} unique results for "${searchTerm}"${breakdown ? ` in ${breakdown}` : ''}.</p>
-    `;
+    searchStatsDiv.innerHTML = inProgress
+        ? `<p>Searching... ${totalUniqueResults} unique results so far for "${searchTerm}"${breakdown ? ` in ${breakdown}` : ''}.</p>`
+        : `<p>Found ${totalUniqueResults} unique results for "${searchTerm}"${breakdown ? ` in ${breakdown}` : ''}.</p>`;
+    appendSearchFilters(searchStatsDiv, filters);
+    appendTransliteratedTerm(searchStatsDiv, searchInfo.transliteratedTerm);
+    appendSuggestion(searchStatsDiv, searchTerm, searchInfo);
+    appendExpandedTerms(searchStatsDiv, searchInfo.expandedTerms);
+    appendRegexTimeouts(searchStatsDiv, searchInfo.timedOutStores);
     resultsContainer.appendChild(searchStatsDiv);
 
+    // Offer to show Pali root verses in the reader's script, once the results
+    // are final
+    const hasPaliVerses = results.some(result => isPaliRootResult(result));
+    const paliScript = hasPaliVerses ? getPaliDisplayScript() : null;
+    if (hasPaliVerses && !inProgress) {
+        appendPaliScriptChoice(searchStatsDiv, paliScript, () => {
+            renderResults(results, searchTerm, searchInfo);
+        });
+    }
+
+    // Translations can be compared one per segment or listed one per translator
+    if (results.some(result => result.author) && !inProgress) {
+        appendResultDedupChoice(searchStatsDiv, dedupPolicy, () => {
+            renderResults(results, searchTerm, searchInfo);
+        });
+    }
+
+    // Queries typed in a native script are highlighted by their IAST reading,
+    // misspelled ones by their correction
+    const highlightTerm = searchInfo.suggestion || searchInfo.transliteratedTerm || searchTerm;
+    // Translations are searched as typed, or as corrected
+    const translationHighlightTerm = searchInfo.suggestion || searchTerm;
+
     // Add search results header
     const header = document.createElement("h2");
     header.textContent = "Search Results";
@@ -164,69 +485,512 @@ function renderResults(results, searchTerm) {
     resultsList.id = "results-list";
     resultsContainer.appendChild(resultsList);
 
-    // Create sections for each category
-    for (const [category, categoryResults] of Object.entries(categories)) {
-        if (categoryResults.length === 0) continue;
+    // Lay the sections for each language, if grouped by language, and category
+    // out as one list of headers and results
+    const entries = [];
+    for (const [groupLabel, categories] of groups) {
+        if (countResults(categories) === 0) continue;
 
-        // Add category header
-        const categoryHeader = document.createElement("h3");
-        categoryHeader.textContent = category;
-        resultsList.appendChild(categoryHeader);
+        if (groupLabel !== null) {
+            entries.push({ heading: "h3", label: groupLabel });
+        }
+
+        for (const [category, categoryResults] of Object.entries(categories)) {
+            if (categoryResults.length === 0) continue;
 
-        // Add all results for this category
-        categoryResults.forEach(result => {
-            const resultParagraph = document.createElement("p");
+            entries.push({ heading: groupLabel !== null ? "h4" : "h3", label: category });
+            categoryResults.forEach(result => entries.push({ result }));
+        }
+    }
 
-            const link = document.createElement("a");
-            // Use url_key as HTMLFILENAME
-            const cleanUrlKey = result.url_key.startsWith('/') ? result.url_key.substring(1) : result.url_key;
+    const createResultParagraph = result => {
+        const resultParagraph = document.createElement("p");
 
-            // For root language searches, link to English version
-            const rootLanguages = ['pli', 'pra', 'san', 'lzh'];
-            const linkLangCode = rootLanguages.includes(lang_code) ? 'en' : lang_code;
+        const link = document.createElement("a");
+        link.href = resultLink(result, result.author ? translationHighlightTerm : highlightTerm);
+        // Set the link text to verse index, or the first and last of a
+        // match across segments
+        link.textContent = result.segments
+            ? `${result.segments[0]}–${result.segments[result.segments.length - 1]}`
+            : result.verseindex;
+        resultParagraph.appendChild(link);
 
-            link.href = `/canon/${linkLangCode}/${cleanUrlKey}.html#${result.verseindex}`;
-            // Set the link text to verse index
-            link.textContent = result.verseindex;
-            resultParagraph.appendChild(link);
+        if (result.author) {
+            resultParagraph.appendChild(createAuthorBadges(result.author, collapsedAuthors.get(result)));
+        }
 
-            // Add VERSE content with highlighting and context
-            const verseText = result.verse || "";
-            const highlightedVerse = highlightWithContext(verseText, searchTerm);
+        if (combined) {
+            resultParagraph.appendChild(createCombinedResult(result, highlightTerm,
+                translationHighlightTerm, paliScript));
+            return resultParagraph;
+        }
 
-            // Create a container for the verse content to properly insert the HTML
-            const verseContainer = document.createElement("div");
-            verseContainer.innerHTML = highlightedVerse;
-            resultParagraph.appendChild(verseContainer);
+        // Add VERSE content with highlighting and context
+        const verseText = result.verse || "";
+        const highlightedVerse = highlightWithContext(verseText, highlightTerm);
 
-            resultsList.appendChild(resultParagraph);
-        });
+        // Create a container for the verse content to properly insert the HTML
+        const verseContainer = document.createElement("div");
+        verseContainer.innerHTML = highlightedVerse;
+        if (paliScript && isPaliRootResult(result)) {
+            transliterateElement(verseContainer, paliScript);
+        }
+        resultParagraph.appendChild(verseContainer);
+
+        return resultParagraph;
+    };
+
+    // Render a page of results at a time: building every result of a common
+    // word at once locks up the tab
+    let nextEntry = 0;
+    let renderedResults = 0;
+    const renderPage = () => {
+        let pageResults = 0;
+        while (nextEntry < entries.length && pageResults < RESULTS_PAGE_SIZE) {
+            const entry = entries[nextEntry++];
+            if (entry.result) {
+                resultsList.appendChild(createResultParagraph(entry.result));
+                pageResults++;
+            } else {
+                const sectionHeader = document.createElement(entry.heading);
+                sectionHeader.textContent = entry.label;
+                resultsList.appendChild(sectionHeader);
+            }
+        }
+        renderedResults += pageResults;
+    };
+
+    const moreResults = document.createElement("div");
+    moreResults.className = "more-results";
+    resultsContainer.appendChild(moreResults);
+
+    const loadMore = () => {
+        renderPage();
+        updateMoreResults();
+    };
+
+    // A "Load more" button after the rendered results, or while the search is
+    // still running a note that more are coming
+    const updateMoreResults = () => {
+        moreResults.innerHTML = "";
+
+        if (inProgress) {
+            moreResults.innerHTML = `
+                <div class="search-loading">
+                    <div class="spinner"></div>
+                    <span>Searching...</span>
+                </div>
+            `;
+            return;
+        }
+
+        const remaining = totalUniqueResults - renderedResults;
+        if (remaining <= 0) {
+            if (resultsObserver) resultsObserver.disconnect();
+            return;
+        }
+
+        const button = document.createElement("button");
+        button.className = "secondary";
+        button.textContent = `Load more (${remaining} more)`;
+        button.addEventListener('click', loadMore);
+        moreResults.appendChild(button);
+    };
+
+    renderPage();
+    updateMoreResults();
+
+    // Load the next page when the button scrolls into view
+    if (!inProgress && renderedResults < totalUniqueResults && typeof IntersectionObserver !== 'undefined') {
+        resultsObserver = new IntersectionObserver(observed => {
+            if (observed.some(entry => entry.isIntersecting)) loadMore();
+        }, { rootMargin: '200px' });
+        resultsObserver.observe(moreResults);
+    }
+
+    if (!inProgress) {
+        console.log("Search complete. Results rendered.");
+    }
+    return totalUniqueResults;
+}
+
+/**
+ * The canon page of a result, opened at its verse. The page shows the
+ * translator who matched and highlights the searched words (see
+ * author_toggle.js).
+ * @param {Object} result - A search result
+ * @param {string} term - The term to highlight on the page
+ * @returns {string}
+ */
+function resultLink(result, term) {
+    // Use url_key as HTMLFILENAME
+    const cleanUrlKey = result.url_key.startsWith('/') ? result.url_key.substring(1) : result.url_key;
+
+    // For root language searches, link to English version
+    const linkLangCode = isRootLangCode(lang_code) ? 'en' : lang_code;
+
+    const params = new URLSearchParams();
+    if (result.author) params.set('author', result.author);
+    // The verse page marks words, which a pattern is not
+    if (term && !isRegexSearch(term, currentSearch && currentSearch.searchOptions)) params.set('q', term);
+    const query = params.toString();
+
+    return `/canon/${linkLangCode}/${cleanUrlKey}.html${query ? `?${query}` : ''}#${result.verseindex}`;
+}
+
+// localStorage key of the policy for results of the same segment
+const RESULT_DEDUP_STORAGE_KEY = 'result-dedup';
+
+// How results of the same segment are collapsed, with the label of each choice
+const RESULT_DEDUP_POLICIES = {
+    segment: "One result per segment",
+    author: "One result per translator"
+};
+
+/**
+ * The chosen policy for results of the same segment.
+ * @returns {string} A key of RESULT_DEDUP_POLICIES
+ */
+function getResultDedupPolicy() {
+    const policy = localStorage.getItem(RESULT_DEDUP_STORAGE_KEY);
+    return RESULT_DEDUP_POLICIES[policy] ? policy : 'segment';
+}
+
+/**
+ * The key results are collapsed by: the segment (store, url_key and verse),
+ * and with the 'author' policy the translator too. Root verses and combined
+ * results are one per segment already.
+ * @param {Object} result - A search result
+ * @param {string} policy - A key of RESULT_DEDUP_POLICIES
+ * @returns {string}
+ */
+function resultDedupKey(result, policy) {
+    const segmentKey = `${result.store}\u0000${result.url_key}\u0000${result.verseindex}`;
+    return policy === 'author' && result.author ? `${segmentKey}\u0000${result.author}` : segmentKey;
+}
+
+/**
+ * Add a selector for how results of the same segment are collapsed.
+ * @param {HTMLElement} container - Where to add the selector
+ * @param {string} selectedPolicy - The current choice
+ * @param {Function} onChange - Called after a new choice is saved
+ */
+function appendResultDedupChoice(container, selectedPolicy, onChange) {
+    const label = document.createElement("label");
+    label.className = "result-dedup-choice";
+    label.append("Show ");
+
+    const select = document.createElement("select");
+    Object.entries(RESULT_DEDUP_POLICIES).forEach(([policy, name]) => {
+        select.add(new Option(name, policy, false, policy === selectedPolicy));
+    });
+    select.addEventListener('change', () => {
+        localStorage.setItem(RESULT_DEDUP_STORAGE_KEY, select.value);
+        onChange();
+    });
+
+    label.appendChild(select);
+    container.appendChild(label);
+}
+
+/**
+ * Badges naming the translator of a result, then the translators whose
+ * matching renderings of the same segment were collapsed into it.
+ * @param {string} author - The translator of the verse shown
+ * @param {string[]} collapsed - Other translators of the segment that matched
+ * @returns {HTMLElement}
+ */
+function createAuthorBadges(author, collapsed = []) {
+    const badges = document.createElement("span");
+    badges.className = "author-badges";
+
+    const addBadge = (name, title) => {
+        const badge = document.createElement("span");
+        badge.className = `author-badge ${name}`;
+        badge.textContent = name;
+        badge.title = title;
+        badges.appendChild(badge);
+    };
+
+    addBadge(author, "Translation shown");
+    collapsed.forEach(name => addBadge(name, "Also matches in this translation"));
+
+    return badges;
+}
+
+/**
+ * Lay out a combined result side by side: the root line, and each
+ * translator's line for the same segment under the translator's name. Lines
+ * that matched are highlighted; the others are shown whole for comparison.
+ * @param {Object} result - A segment from combinedSearch
+ * @param {string} rootTerm - The term to highlight in the root line
+ * @param {string} translationTerm - The term to highlight in the translations
+ * @param {string|null} paliScript - The script to show Pali in, or null for IAST
+ * @returns {HTMLElement}
+ */
+function createCombinedResult(result, rootTerm, translationTerm, paliScript) {
+    const container = document.createElement("div");
+    container.className = "combined-result";
+
+    const rootColumn = document.createElement("div");
+    rootColumn.className = "combined-root root";
+    if (result.verse === null) {
+        rootColumn.classList.add("combined-missing");
+        rootColumn.textContent = "Root text not loaded.";
+    } else {
+        if (result.rootMatched) {
+            rootColumn.innerHTML = highlightWithContext(result.verse, rootTerm);
+        } else {
+            rootColumn.textContent = result.verse;
+        }
+        if (paliScript && isPaliRootResult(result)) {
+            transliterateElement(rootColumn, paliScript);
+        }
     }
+    container.appendChild(rootColumn);
+
+    const translationsColumn = document.createElement("div");
+    translationsColumn.className = "combined-translations";
+    if (result.translations.length === 0) {
+        translationsColumn.classList.add("combined-missing");
+        translationsColumn.textContent = "No translation of this segment.";
+    }
+    result.translations.forEach(translation => {
+        const line = document.createElement("div");
+        line.className = `combined-translation ${translation.author}`;
+
+        const author = document.createElement("span");
+        author.className = "combined-author";
+        author.textContent = translation.author;
+        line.appendChild(author);
+
+        const verse = document.createElement("span");
+        if (translation.matched) {
+            verse.innerHTML = highlightWithContext(translation.verse, translationTerm);
+        } else {
+            verse.textContent = translation.verse;
+        }
+        line.appendChild(verse);
+
+        translationsColumn.appendChild(line);
+    });
+    container.appendChild(translationsColumn);
+
+    return container;
+}
+
+/**
+ * Say what the search was limited to, e.g. "Only Pali; Sutta; pli/ms/sutta/mn; sujato."
+ * @param {HTMLElement} container - Where to add the line
+ * @param {Object|null} filters - From normalizeSearchFilters
+ */
+function appendSearchFilters(container, filters) {
+    if (!filters) return;
+
+    const parts = [
+        (filters.canons || []).map(canon => ROOT_LANGUAGE_LABELS[canon] || canon),
+        (filters.categories || []).map(category => category.charAt(0).toUpperCase() + category.slice(1)),
+        filters.collections || [],
+        filters.authors || []
+    ].filter(values => values.length > 0);
+
+    const filtersParagraph = document.createElement("p");
+    filtersParagraph.className = "search-filters";
+    filtersParagraph.textContent = `Only ${parts.map(values => values.join(', ')).join('; ')}.`;
+    container.appendChild(filtersParagraph);
+}
+
+/**
+ * List the forms each inflected query word was searched in, e.g.
+ * "dhammo: dhamma, dhammam, dhammassa, ..."
+ * @param {HTMLElement} container - Where to add the list
+ * @param {Array<{term: string, forms: string[]}>} [expandedTerms]
+ */
+function appendExpandedTerms(container, expandedTerms) {
+    if (!expandedTerms || expandedTerms.length === 0) return;
+
+    const formsParagraph = document.createElement("p");
+    formsParagraph.className = "expanded-forms";
+    formsParagraph.append("Also searched for the forms of ");
+    expandedTerms.forEach(({ term, forms }, i) => {
+        if (i > 0) formsParagraph.append("; ");
+        const termElement = document.createElement("strong");
+        termElement.textContent = term;
+        formsParagraph.append(termElement, `: ${forms.join(', ')}`);
+    });
+    formsParagraph.append(".");
+    container.appendChild(formsParagraph);
+}
+
+/**
+ * Say which stores a regular expression took too long to search through,
+ * and were only searched in part (see REGEX_STORE_TIME_LIMIT).
+ * @param {HTMLElement} container - Where to add the line
+ * @param {string[]} [timedOutStores]
+ */
+function appendRegexTimeouts(container, timedOutStores) {
+    if (!timedOutStores || timedOutStores.length === 0) return;
+
+    const timeoutParagraph = document.createElement("p");
+    timeoutParagraph.className = "regex-timeouts";
+    timeoutParagraph.textContent = `The pattern took too long to match and was stopped partway through ` +
+        `${timedOutStores.join(', ')}. A more specific pattern may find more.`;
+    container.appendChild(timeoutParagraph);
+}
+
+/**
+ * Say which words were searched in place of ones found nowhere, and offer
+ * the corrected query: "Did you mean nibbana?" runs it as a new search.
+ * @param {HTMLElement} container - Where to add the line
+ * @param {string} searchTerm - The term that was searched for
+ * @param {Object} searchInfo - Details reported by the search function
+ */
+function appendSuggestion(container, searchTerm, searchInfo) {
+    const { suggestion, corrections } = searchInfo;
+    if (!suggestion || !corrections || corrections.length === 0) return;
+
+    const correctionsParagraph = document.createElement("p");
+    correctionsParagraph.className = "corrected-terms";
+    correctionsParagraph.append(`No results for "${searchTerm}". Showing results for similar words: `);
+    corrections.forEach(({ term, candidates }, i) => {
+        if (i > 0) correctionsParagraph.append("; ");
+        const termElement = document.createElement("strong");
+        termElement.textContent = term;
+        correctionsParagraph.append(termElement, `: ${candidates.join(', ')}`);
+    });
+    correctionsParagraph.append(".");
+    container.appendChild(correctionsParagraph);
+
+    const suggestionParagraph = document.createElement("p");
+    suggestionParagraph.className = "did-you-mean";
+    suggestionParagraph.append("Did you mean ");
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = suggestion;
+    link.addEventListener('click', event => {
+        event.preventDefault();
+
+        const searchInput = document.getElementById('search-input');
+        if (searchInput) searchInput.value = suggestion;
+        const url = new URL(window.location);
+        url.searchParams.set('q', suggestion);
+        window.history.pushState({}, '', url);
+
+        document.dispatchEvent(new CustomEvent('buddhist-texts-search', {
+            detail: { ...currentSearch, searchTerm: suggestion }
+        }));
+    });
+    suggestionParagraph.append(link, "?");
+    container.appendChild(suggestionParagraph);
+}
+
+/**
+ * Show the IAST reading of a query typed in a native script.
+ * @param {HTMLElement} container - Where to add the line
+ * @param {string} [transliteratedTerm]
+ */
+function appendTransliteratedTerm(container, transliteratedTerm) {
+    if (!transliteratedTerm) return;
+
+    const termParagraph = document.createElement("p");
+    termParagraph.className = "transliterated-term";
+    termParagraph.append("Searched as ");
+    const termElement = document.createElement("strong");
+    termElement.textContent = transliteratedTerm;
+    termParagraph.append(termElement, ".");
+    container.appendChild(termParagraph);
+}
 
-    console.log("Search complete. Results rendered.");
+// localStorage key of the script Pali root verses are shown in
+const PALI_SCRIPT_STORAGE_KEY = 'pali-script';
+
+/**
+ * Whether a result is a verse of a Pali root store (e.g. pli_sutta).
+ * @param {Object} result - A search result
+ * @returns {boolean}
+ */
+function isPaliRootResult(result) {
+    if (!result.store) return false;
+    const parts = result.store.split('_');
+    return parts.length === 2 && parts[0] === 'pli';
+}
+
+/**
+ * The script chosen for Pali root verses, or null for IAST.
+ * @returns {string|null} A key of PALI_SCRIPTS
+ */
+function getPaliDisplayScript() {
+    if (typeof PALI_SCRIPTS === 'undefined') return null;
+    const script = localStorage.getItem(PALI_SCRIPT_STORAGE_KEY);
+    return script && PALI_SCRIPTS[script] ? script : null;
+}
+
+/**
+ * Add a selector for the script Pali root verses are shown in.
+ * @param {HTMLElement} container - Where to add the selector
+ * @param {string|null} selectedScript - The current choice
+ * @param {Function} onChange - Called after a new choice is saved
+ */
+function appendPaliScriptChoice(container, selectedScript, onChange) {
+    if (typeof PALI_SCRIPTS === 'undefined') return;
+
+    const label = document.createElement("label");
+    label.className = "pali-script-choice";
+    label.append("Show Pali in ");
+
+    const select = document.createElement("select");
+    select.add(new Option("Roman", "", false, !selectedScript));
+    Object.entries(PALI_SCRIPTS).forEach(([script, { name }]) => {
+        select.add(new Option(name, script, false, script === selectedScript));
+    });
+    select.addEventListener('change', () => {
+        if (select.value) {
+            localStorage.setItem(PALI_SCRIPT_STORAGE_KEY, select.value);
+        } else {
+            localStorage.removeItem(PALI_SCRIPT_STORAGE_KEY);
+        }
+        onChange();
+    });
+
+    label.appendChild(select);
+    container.appendChild(label);
+}
+
+/**
+ * Rewrite the IAST text inside an element in another script, leaving the
+ * highlighting markup in place.
+ * @param {HTMLElement} element
+ * @param {string} script - A key of PALI_SCRIPTS
+ */
+function transliterateElement(element, script) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(node => {
+        node.textContent = iastToPaliScript(node.textContent, script);
+    });
 }
 
 /**
- * Highlights search terms within text, splitting search into individual words
+ * Highlights search terms within text, trying them as one phrase first
  * @param {string} text The original text
- * @param {string} term The search term to highlight
+ * @param {string[]} terms The words and quoted phrases to highlight
  * @returns {string} HTML with highlighting
  */
-function highlightSearchTerm(text, term) {
-    if (!term || !text) return text;
+function highlightSearchTerm(text, terms) {
+    if (terms.length === 0 || !text) return text;
 
     // First, try to match the entire phrase
-    const escapedPhrase = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const phraseRegex = new RegExp(escapedPhrase, 'gi');
+    const phrasePattern = searchTermPattern(terms.join(' '));
+    const phraseRegex = new RegExp(phrasePattern, 'giu');
 
     // If the exact phrase is found, highlight it as one unit
     if (text.match(phraseRegex)) {
         return text.replace(phraseRegex, '<mark>$&</mark>');
     }
 
-    // If not, highlight individual words without breaking existing HTML
-    // Split search term into individual words
-    const searchWords = term.trim().split(/\s+/).filter(word => word.length > 0);
+    // If not, highlight individual terms without breaking existing HTML
+    const searchWords = terms;
 
     // Create a temporary element to safely work with HTML
     const tempDiv = document.createElement('div');
@@ -240,10 +1004,10 @@ function highlightSearchTerm(text, term) {
 
             // Apply highlighting for each word
             for (const word of searchWords) {
-                if (word.length < 2) continue; // Skip very short words
+                if (word.length < 2 && !isCjkText(word)) continue; // Skip very short words
 
-                const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                const regex = new RegExp(`(${escapedWord})`, 'gi');
+                const wordPattern = searchTermPattern(word);
+                const regex = new RegExp(`(${wordPattern})`, 'giu');
 
                 if (regex.test(content)) {
                     content = content.replace(regex, '<mark>$1</mark>');
@@ -270,23 +1034,33 @@ function highlightSearchTerm(text, term) {
 }
 
 /**
- * Highlights terms and provides context around matches
+ * Highlights terms and provides context around matches.
+ * Only the positive terms of the query are highlighted: quoted phrases as a
+ * unit, excluded terms and OR not at all.
  * @param {string} text The original text
- * @param {string} term The search term to highlight
+ * @param {string} term The search term to highlight, in search box syntax
  * @param {number} contextLength Number of characters to show around matches
  * @returns {string} HTML with highlighting and context
  */
 function highlightWithContext(text, term, contextLength = 50) {
     if (!term || !text) return text;
 
+    const searchOptions = currentSearch && currentSearch.searchOptions;
+    if (isRegexSearch(term, searchOptions)) {
+        return highlightRegexWithContext(text, term, Boolean(searchOptions && searchOptions.exactDiacritics), contextLength);
+    }
+
+    const terms = highlightTermsFor(text, searchQueryTerms(parseSearchQuery(term)));
+    if (terms.length === 0) return text;
+
     // For short texts, just use the normal highlighter
     if (text.length <= contextLength * 3) {
-        return highlightSearchTerm(text, term);
+        return highlightSearchTerm(text, terms);
     }
 
     // Try to match the entire phrase first
-    const escapedPhrase = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const phraseRegex = new RegExp(escapedPhrase, 'gi');
+    const phrasePattern = searchTermPattern(terms.join(' '));
+    const phraseRegex = new RegExp(phrasePattern, 'giu');
 
     // If the exact phrase is found, use it for context
     if (text.match(phraseRegex)) {
@@ -302,20 +1076,20 @@ function highlightWithContext(text, term, contextLength = 50) {
         }
 
         // Create snippets with context around phrase matches
-        return createSnippetsWithContext(text, allMatches, term, contextLength);
+        return createSnippetsWithContext(text, allMatches, terms, contextLength);
     }
 
-    // Otherwise, use individual words for matching
-    const searchWords = term.trim().split(/\s+/).filter(word => word.length > 0);
+    // Otherwise, use individual terms for matching
+    const searchWords = terms;
 
     // Find all matches for all words
     let allMatches = [];
 
     searchWords.forEach(word => {
-        if (word.length < 2) return; // Skip very short words
+        if (word.length < 2 && !isCjkText(word)) return; // Skip very short words
 
-        const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const regex = new RegExp(`(${escapedWord})`, 'gi');
+        const wordPattern = searchTermPattern(word);
+        const regex = new RegExp(`(${wordPattern})`, 'giu');
 
         let match;
         while ((match = regex.exec(text)) !== null) {
@@ -327,18 +1101,136 @@ function highlightWithContext(text, term, contextLength = 50) {
         }
     });
 
-    return createSnippetsWithContext(text, allMatches, term, contextLength);
+    return createSnippetsWithContext(text, allMatches, terms, contextLength);
+}
+
+/**
+ * Highlights the matches of a regular expression search, with context around
+ * them. The pattern matched the normalized verse unless exactDiacritics was
+ * set (see compileSearchRegex), so it is matched the same way here and the
+ * matches mapped back onto the text as written.
+ * @param {string} text The original text
+ * @param {string} term The pattern, with or without the re: prefix
+ * @param {boolean} exactDiacritics Whether the pattern matched the text as written
+ * @param {number} contextLength Number of characters to show around matches
+ * @returns {string} HTML with highlighting and context
+ */
+function highlightRegexWithContext(text, term, exactDiacritics, contextLength) {
+    let regex;
+    try {
+        regex = compileSearchRegex(term, exactDiacritics);
+    } catch (error) {
+        return text;
+    }
+
+    // The text the pattern is matched against, and for each of its
+    // characters the position it came from in the original text
+    let matchedText = text;
+    let positions = null;
+    if (!exactDiacritics) {
+        matchedText = '';
+        positions = [];
+        let position = 0;
+        Array.from(text).forEach(char => {
+            const folded = normalizeText(char);
+            for (let i = 0; i < folded.length; i++) {
+                matchedText += folded[i];
+                positions.push(position);
+            }
+            position += char.length;
+        });
+        positions.push(text.length);
+    }
+
+    const ranges = [];
+    const globalRegex = new RegExp(regex.source, `${regex.flags}g`);
+    let match;
+    while ((match = globalRegex.exec(matchedText)) !== null) {
+        if (match[0].length === 0) {
+            // Nothing to mark at an empty match such as $
+            globalRegex.lastIndex++;
+            continue;
+        }
+        const end = match.index + match[0].length;
+        ranges.push(positions
+            ? [positions[match.index], positions[end]]
+            : [match.index, end]);
+    }
+
+    const markRanges = (start, end) => {
+        let html = "";
+        let last = start;
+        ranges.forEach(([rangeStart, rangeEnd]) => {
+            if (rangeEnd <= start || rangeStart >= end) return;
+            const from = Math.max(rangeStart, last);
+            const to = Math.min(rangeEnd, end);
+            if (from >= to) return;
+            html += text.substring(last, from) + `<mark>${text.substring(from, to)}</mark>`;
+            last = to;
+        });
+        return html + text.substring(last, end);
+    };
+
+    if (text.length <= contextLength * 3) {
+        return markRanges(0, text.length);
+    }
+    if (ranges.length === 0) {
+        return text.substring(0, contextLength * 2) + "...";
+    }
+
+    // Snippets around the matches, merged where they are close
+    const snippets = [];
+    ranges.forEach(([start, end]) => {
+        const snippetStart = Math.max(0, start - contextLength);
+        const snippetEnd = Math.min(text.length, end + contextLength);
+        const previous = snippets[snippets.length - 1];
+        if (previous && snippetStart <= previous[1]) {
+            previous[1] = Math.max(previous[1], snippetEnd);
+        } else {
+            snippets.push([snippetStart, snippetEnd]);
+        }
+    });
+
+    let html = "";
+    snippets.forEach(([start, end]) => {
+        if (html) {
+            html += " ... ";
+        } else if (start > 0) {
+            html += "... ";
+        }
+        html += markRanges(start, end);
+    });
+    if (snippets[snippets.length - 1][1] < text.length) html += " ...";
+    return html;
+}
+
+/**
+ * The terms to highlight in a verse. Chinese and Japanese words match by
+ * their bigrams (see matchesSearchQuery), so a word whose characters are not
+ * together in the text is highlighted bigram by bigram.
+ * @param {string} text The original text
+ * @param {string[]} terms The positive terms of the query
+ * @returns {string[]}
+ */
+function highlightTermsFor(text, terms) {
+    return terms.flatMap(term => {
+        const word = parseSearchTerm(term).text;
+        if (!isCjkText(word) || new RegExp(searchTermPattern(term), 'u').test(text)) {
+            return [term];
+        }
+        return cjkNgrams(word);
+    });
 }
 
 /**
  * Helper function to create snippets with context
  * @param {string} text The original text
  * @param {Array} matches Array of match objects {index, length, word}
- * @param {string} term The search term
+ * @param {string[]} terms The words and quoted phrases searched for
  * @param {number} contextLength Context length
  * @returns {string} Formatted HTML with highlights and context
  */
-function createSnippetsWithContext(text, matches, term, contextLength) {
+function createSnippetsWithContext(text, matches, terms, contextLength) {
     // Sort matches by position in text
     matches.sort((a, b) => a.index - b.index);
 
@@ -391,8 +1283,8 @@ function createSnippetsWithContext(text, matches, term, contextLength) {
         const snippet = text.substring(start, end);
 
         // For the entire phrase, use the simple highlighter
-        const escapedPhrase = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const phraseRegex = new RegExp(escapedPhrase, 'gi');
+        const phrasePattern = searchTermPattern(terms.join(' '));
+        const phraseRegex = new RegExp(phrasePattern, 'giu');
 
         let highlightedSnippet;
         if (snippet.match(phraseRegex)) {
@@ -401,9 +1293,9 @@ function createSnippetsWithContext(text, matches, term, contextLength) {
             // For individual words, use the improved highlighter
             // But with a simpler approach since we're working with plain text snippets
             highlightedSnippet = snippet;
-            term.trim().split(/\s+/).filter(word => word.length >= 2).forEach(word => {
-                const escapedWord = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                const wordRegex = new RegExp(`(${escapedWord})`, 'gi');
+            terms.filter(word => word.length >= 2).forEach(word => {
+                const wordPattern = searchTermPattern(word);
+                const wordRegex = new RegExp(`(${wordPattern})`, 'giu');
                 highlightedSnippet = highlightedSnippet.replace(wordRegex, '<mark>$1</mark>');
             });
         }
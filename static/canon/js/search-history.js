@@ -0,0 +1,368 @@
+// Search history and saved searches, kept in this browser (SEARCH_HISTORY_STORE)
+// Requires dexie.js and dexie-shared.js to be loaded first, and
+// activate_search.js for the search form and its URL parameters
+
+// Past searches kept besides the saved ones; older ones are forgotten
+const SEARCH_HISTORY_LIMIT = 100;
+// Past searches listed under the search input
+const SEARCH_HISTORY_SHOWN = 10;
+// Marks a file of exported saved searches
+const SAVED_SEARCHES_FORMAT = "buddhist-texts-saved-searches";
+
+/**
+ * Identify a search by what it searched for, so running it again updates
+ * its history entry instead of adding another.
+ * @param {Object} entry - A history entry
+ * @returns {string}
+ */
+function searchHistoryKey(entry) {
+    const options = entry.options || {};
+    return JSON.stringify([
+        entry.term,
+        entry.langCode,
+        normalizeSearchFilters(entry.filters) || {},
+        Boolean(options.exactDiacritics),
+        Boolean(options.combined),
+        Boolean(options.regex),
+        Boolean(options.acrossSegments)
+    ]);
+}
+
+/**
+ * Add a finished search to the history, or move it to the top if it was
+ * run before, and forget the oldest searches over SEARCH_HISTORY_LIMIT.
+ * Saved searches are never forgotten.
+ * @param {Object} detail - The buddhist-texts-search event detail
+ * @param {number} resultCount - The number of results shown
+ */
+async function recordSearch(detail, resultCount) {
+    const { searchTerm, langCode, searchOptions = {} } = detail;
+    const entry = {
+        term: searchTerm,
+        langCode: langCode,
+        filters: normalizeSearchFilters(searchOptions.filters) || {},
+        options: {
+            exactDiacritics: Boolean(searchOptions.exactDiacritics),
+            combined: Boolean(searchOptions.combined),
+            regex: Boolean(searchOptions.regex),
+            acrossSegments: Boolean(searchOptions.acrossSegments)
+        },
+        timestamp: Date.now(),
+        resultCount: resultCount
+    };
+
+    try {
+        const db = await getSharedDatabase();
+        const table = db.table(SEARCH_HISTORY_STORE);
+        const key = searchHistoryKey(entry);
+
+        await db.transaction('rw', table, async () => {
+            const entries = await table.orderBy('timestamp').toArray();
+            const previous = entries.find(existing => !existing.name && searchHistoryKey(existing) === key);
+            if (previous) {
+                await table.update(previous.id, { timestamp: entry.timestamp, resultCount });
+            } else {
+                await table.add(entry);
+            }
+
+            const unsaved = entries.filter(existing => !existing.name && existing !== previous);
+            const excess = unsaved.length + 1 - SEARCH_HISTORY_LIMIT;
+            if (excess > 0) {
+                await table.bulkDelete(unsaved.slice(0, excess).map(existing => existing.id));
+            }
+        });
+    } catch (error) {
+        console.error("Error recording the search history:", error);
+    }
+
+    renderSearchHistory();
+}
+
+/**
+ * The saved searches, by name, and the latest past searches of this page's
+ * language, newest first.
+ * @returns {Promise<{saved: Array, recent: Array}>}
+ */
+async function getSearchHistory() {
+    const db = await getSharedDatabase();
+    const entries = await db.table(SEARCH_HISTORY_STORE)
+        .orderBy('timestamp').reverse().toArray();
+    return {
+        saved: entries.filter(entry => entry.name)
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        recent: entries.filter(entry => !entry.name && entry.langCode === lang_code)
+            .slice(0, SEARCH_HISTORY_SHOWN)
+    };
+}
+
+/**
+ * Save a past search under a name. It is kept as it is now; the history
+ * entry stays in place.
+ * @param {Object} entry - A history entry
+ * @param {string} name
+ */
+async function saveSearch(entry, name) {
+    const { id, ...saved } = entry;
+    const db = await getSharedDatabase();
+    await db.table(SEARCH_HISTORY_STORE).add({ ...saved, name });
+}
+
+/**
+ * Remove a saved search.
+ * @param {number} id
+ */
+async function removeSavedSearch(id) {
+    const db = await getSharedDatabase();
+    await db.table(SEARCH_HISTORY_STORE).delete(id);
+}
+
+/**
+ * Write the saved searches as JSON, to share with importSavedSearches.
+ * @returns {Promise<string>}
+ */
+async function exportSavedSearches() {
+    const { saved } = await getSearchHistory();
+    return JSON.stringify({
+        format: SAVED_SEARCHES_FORMAT,
+        version: 1,
+        searches: saved.map(({ name, term, langCode, filters, options }) => ({
+            name, term, langCode, filters, options
+        }))
+    }, null, 2);
+}
+
+/**
+ * Add the saved searches of an exported file. Searches already saved under
+ * the same name are skipped.
+ * @param {string} text - JSON written by exportSavedSearches
+ * @returns {Promise<number>} The number of searches added
+ * @throws {Error} If the file is not a saved searches export
+ */
+async function importSavedSearches(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error("The file is not JSON.");
+    }
+    if (!data || data.format !== SAVED_SEARCHES_FORMAT || !Array.isArray(data.searches)) {
+        throw new Error("The file does not hold saved searches.");
+    }
+
+    const db = await getSharedDatabase();
+    const table = db.table(SEARCH_HISTORY_STORE);
+    const { saved } = await getSearchHistory();
+    const savedKeys = new Set(saved.map(entry => `${entry.name}\u0000${searchHistoryKey(entry)}`));
+
+    const added = [];
+    data.searches.forEach(search => {
+        if (!search || typeof search.term !== 'string' || typeof search.langCode !== 'string') return;
+        const entry = {
+            name: typeof search.name === 'string' && search.name.trim() ? search.name.trim() : search.term,
+            term: search.term,
+            langCode: search.langCode,
+            filters: normalizeSearchFilters(search.filters) || {},
+            options: {
+                exactDiacritics: Boolean(search.options && search.options.exactDiacritics),
+                combined: Boolean(search.options && search.options.combined),
+                regex: Boolean(search.options && search.options.regex),
+                acrossSegments: Boolean(search.options && search.options.acrossSegments)
+            },
+            timestamp: Date.now(),
+            resultCount: null
+        };
+        const key = `${entry.name}\u0000${searchHistoryKey(entry)}`;
+        if (savedKeys.has(key)) return;
+        savedKeys.add(key);
+        added.push(entry);
+    });
+
+    await table.bulkAdd(added);
+    return added.length;
+}
+
+/**
+ * The search page URL that runs a history entry.
+ * @param {Object} entry
+ * @returns {string}
+ */
+function searchHistoryUrl(entry) {
+    const url = new URL(`/search/${entry.langCode}.html`, window.location.origin);
+    url.searchParams.set('q', entry.term);
+    if (entry.options && entry.options.exactDiacritics) url.searchParams.set('exact', '1');
+    if (entry.options && entry.options.combined) url.searchParams.set('combined', '1');
+    if (entry.options && entry.options.regex) url.searchParams.set('regex', '1');
+    if (entry.options && entry.options.acrossSegments) url.searchParams.set('span', '1');
+    setUrlFilters(url, entry.filters || {});
+    return url.pathname + url.search;
+}
+
+/**
+ * Run a history entry. Searches of this page's language are run in place
+ * through the search form; others open their own search page.
+ * @param {Object} entry
+ */
+function runHistorySearch(entry) {
+    const searchForm = document.getElementById('search-form');
+    if (entry.langCode !== lang_code || !searchForm) {
+        window.location.href = searchHistoryUrl(entry);
+        return;
+    }
+
+    document.getElementById('search-input').value = entry.term;
+    const exactCheckbox = document.getElementById('diacritic-exact');
+    if (exactCheckbox) exactCheckbox.checked = Boolean(entry.options && entry.options.exactDiacritics);
+    const combinedCheckbox = document.getElementById('combined-search');
+    if (combinedCheckbox) combinedCheckbox.checked = Boolean(entry.options && entry.options.combined);
+    const regexCheckbox = document.getElementById('regex-search');
+    if (regexCheckbox) regexCheckbox.checked = Boolean(entry.options && entry.options.regex);
+    const spanCheckbox = document.getElementById('across-segments');
+    if (spanCheckbox) spanCheckbox.checked = Boolean(entry.options && entry.options.acrossSegments);
+    setFormFilters(searchForm, entry.filters || {});
+
+    document.getElementById('search-history').open = false;
+    searchForm.requestSubmit();
+}
+
+/**
+ * Add the history panel under the search input.
+ */
+function createSearchHistoryPanel() {
+    const searchInput = document.getElementById('search-input');
+    if (!searchInput || document.getElementById('search-history')) return;
+
+    const panel = document.createElement("details");
+    panel.id = "search-history";
+    panel.innerHTML = `
+        <summary>History and saved searches</summary>
+        <div class="saved-searches"></div>
+        <ul class="recent-searches"></ul>
+        <p class="search-history-status"></p>
+        <div class="search-history-actions">
+            <button type="button" class="outline secondary export-searches">Export saved searches</button>
+            <button type="button" class="outline secondary import-searches">Import saved searches</button>
+            <input type="file" accept="application/json,.json" hidden>
+        </div>
+    `;
+
+    const status = panel.querySelector('.search-history-status');
+    const fileInput = panel.querySelector('input[type=file]');
+
+    panel.querySelector('.export-searches').addEventListener('click', async () => {
+        try {
+            const json = await exportSavedSearches();
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+            link.download = "saved-searches.json";
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error("Error exporting saved searches:", error);
+            status.textContent = "Could not export the saved searches.";
+        }
+    });
+
+    panel.querySelector('.import-searches').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = "";
+        if (!file) return;
+        try {
+            const count = await importSavedSearches(await file.text());
+            status.textContent = `Imported ${count} saved ${count === 1 ? 'search' : 'searches'}.`;
+            renderSearchHistory();
+        } catch (error) {
+            console.error("Error importing saved searches:", error);
+            status.textContent = `Could not import the saved searches: ${error.message}`;
+        }
+    });
+
+    // Inside the form, right under the input
+    searchInput.closest('label').after(panel);
+}
+
+/**
+ * List the saved and recent searches in the history panel.
+ */
+async function renderSearchHistory() {
+    const panel = document.getElementById('search-history');
+    if (!panel) return;
+
+    let history;
+    try {
+        history = await getSearchHistory();
+    } catch (error) {
+        console.error("Error reading the search history:", error);
+        return;
+    }
+
+    const createItem = (entry, label, details, button) => {
+        const item = document.createElement("li");
+
+        const link = document.createElement("a");
+        link.href = searchHistoryUrl(entry);
+        link.textContent = label;
+        link.addEventListener('click', event => {
+            if (entry.langCode !== lang_code) return;
+            event.preventDefault();
+            runHistorySearch(entry);
+        });
+        item.appendChild(link);
+
+        const small = document.createElement("small");
+        small.textContent = ` ${details} `;
+        item.appendChild(small);
+
+        item.appendChild(button);
+        return item;
+    };
+
+    const createButton = (text, onClick) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "outline secondary";
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    };
+
+    const savedContainer = panel.querySelector('.saved-searches');
+    savedContainer.innerHTML = "";
+    if (history.saved.length > 0) {
+        const heading = document.createElement("strong");
+        heading.textContent = "Saved";
+        const list = document.createElement("ul");
+        history.saved.forEach(entry => {
+            list.appendChild(createItem(entry, entry.name, `${entry.term} (${entry.langCode})`,
+                createButton("Remove", async () => {
+                    await removeSavedSearch(entry.id);
+                    renderSearchHistory();
+                })));
+        });
+        savedContainer.append(heading, list);
+    }
+
+    const recentList = panel.querySelector('.recent-searches');
+    recentList.innerHTML = "";
+    history.recent.forEach(entry => {
+        const count = entry.resultCount === null ? '' : `${entry.resultCount} results, `;
+        recentList.appendChild(createItem(entry, entry.term,
+            `${count}${new Date(entry.timestamp).toLocaleString()}`,
+            createButton("Save", async () => {
+                const name = window.prompt("Save this search as:", entry.term);
+                if (!name || !name.trim()) return;
+                await saveSearch(entry, name.trim());
+                renderSearchHistory();
+            })));
+    });
+    if (history.recent.length === 0) {
+        const empty = document.createElement("li");
+        empty.textContent = "No searches yet.";
+        recentList.appendChild(empty);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    createSearchHistoryPanel();
+    renderSearchHistory();
+});
@@ -0,0 +1,85 @@
+// Search worker: runs the Dexie searches off the main thread so the search
+// page stays responsive while records are normalized and scored.
+// Started by render_search.js; opens the same BuddhistTextsDB through
+// getSharedDatabase() and generateStoreSchema().
+
+importScripts('dexie.js', 'dexie-shared.js', 'pali-transliteration.js', 'pali-inflection.js', 'dexie-search.js', 'dexie-root-search.js', 'dexie-combined-search.js');
+
+// Only these functions may be called by name from the page
+const SEARCH_FUNCTIONS = {
+    languageAwareSearch: languageAwareSearch,
+    rootLanguageSearch: rootLanguageSearch,
+    combinedSearch: combinedSearch
+};
+
+// The search in flight, if any. A new search cancels it.
+let activeSearch = null;
+// While a search runs, the page is told every this many milliseconds that
+// the worker is still responsive (see SEARCH_WORKER_TIME_LIMIT in render_search.js)
+const PROGRESS_INTERVAL = 1000;
+
+function cancelActiveSearch() {
+    if (activeSearch) {
+        activeSearch.controller.abort();
+        activeSearch = null;
+    }
+}
+
+async function runSearch(message) {
+    const { id, searchFunction, searchTerm, langCode, searchOptions } = message;
+
+    cancelActiveSearch();
+    const controller = new AbortController();
+    activeSearch = { id, controller };
+    const progress = setInterval(() => self.postMessage({ type: 'progress', id }), PROGRESS_INTERVAL);
+
+    try {
+        const search = SEARCH_FUNCTIONS[searchFunction];
+        if (!search) {
+            throw new Error(`Unknown search function: ${searchFunction}`);
+        }
+
+        const searchInfo = {};
+        const results = await search(searchTerm, langCode, {
+            ...searchOptions,
+            signal: controller.signal,
+            searchInfo,
+            // Matches are posted as each store is scanned, then all of them ranked
+            onBatch: batch => self.postMessage({ type: 'batch', id, results: batch })
+        });
+        self.postMessage({ type: 'results', id, results, searchInfo });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            self.postMessage({ type: 'cancelled', id });
+        } else {
+            console.error("Search worker error:", error);
+            self.postMessage({ type: 'error', id, message: error.message });
+        }
+    } finally {
+        clearInterval(progress);
+        if (activeSearch && activeSearch.id === id) {
+            activeSearch = null;
+        }
+    }
+}
+
+self.addEventListener('message', event => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'search':
+            runSearch(message);
+            break;
+        case 'cancel':
+            if (activeSearch && activeSearch.id === message.id) {
+                cancelActiveSearch();
+            }
+            break;
+        case 'forget':
+            // The loader replaced these stores (see forgetStoreCaches)
+            forgetStoreCaches(message.storeNames);
+            break;
+        default:
+            console.warn(`Search worker: unknown message type ${message.type}`);
+    }
+});
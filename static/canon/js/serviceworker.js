@@ -44,8 +44,37 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  // The data manifest tells the loader which data files have changed, so it
+  // must be fresh when online: network-first, like the pages. The data files
+  // themselves are requested with their content hash and can stay cache-first.
+  if (new URL(event.request.url).pathname.endsWith('/data-manifest.json')) {
+    event.respondWith(
+      fetch(event.request)
+        .then(response => {
+          if (response.ok) {
+            const responseClone = response.clone();
+            caches.open(CACHE_NAME)
+              .then(cache => {
+                cache.put(event.request, responseClone);
+              });
+          }
+          return response;
+        })
+        .catch(() => caches.match(event.request)
+          .then(cachedResponse => cachedResponse ||
+            new Response('Network error', { status: 408, headers: { 'Content-Type': 'text/plain' } })))
+    );
+    return;
+  }
+
   // For HTML pages - use network-first strategy
   if (event.request.headers.get('accept').includes('text/html')) {
+    // The pages are static: a query string (search terms, the translator a
+    // search result links to) is read by the page scripts, so it is left out
+    // of the cache key
+    const pageUrl = new URL(event.request.url);
+    pageUrl.search = '';
+
     event.respondWith(
       fetch(event.request)
         .then(response => {
@@ -53,13 +82,13 @@ self.addEventListener('fetch', event => {
           const responseClone = response.clone();
           caches.open(CACHE_NAME)
             .then(cache => {
-              cache.put(event.request, responseClone);
+              cache.put(pageUrl.href, responseClone);
             });
           return response;
         })
         .catch(() => {
           // If network fetch fails, try to return from cache
-          return caches.match(event.request)
+          return caches.match(pageUrl.href)
             .then(cachedResponse => {
               if (cachedResponse) {
                 return cachedResponse;
@@ -0,0 +1,49 @@
+// Tests for static/canon/js/pali-inflection.js. Run with: node --test tests/
+// The script is a plain browser script, so it is run in a context of its own.
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+vm.runInContext(
+    fs.readFileSync(path.join(__dirname, '../static/canon/js/pali-inflection.js'), 'utf8'),
+    context);
+// Arrays made in the context are copied out, to compare with this one's
+const paliWordForms = (word, vocabulary) => Array.from(context.paliWordForms(word, vocabulary));
+
+// Normalized terms of the paritta texts around the words tested
+const PARITTA_VOCABULARY = new Set([
+    "sarabhango", "saram", "saranam", "saraniyam", "sarantanam", "sarate",
+    "buddha", "buddham", "buddhanam", "buddhassa", "buddhe", "buddho",
+    "dhamma", "dhammam", "dhamman", "dhammanam", "dhammassa", "dhamme",
+    "dhammehi", "dhammena", "dhammesu", "dhammo"
+]);
+
+test('a word in the vocabulary keeps its longest stem', () => {
+    // saraṇa + ṁ, not sara + ānaṁ, though saraṇa has no other form here
+    assert.deepEqual(paliWordForms("saranam", PARITTA_VOCABULARY), ["saranam"]);
+});
+
+test('a shorter stem with more attested forms is still used', () => {
+    // dhamma + ānaṁ: dhamman has no forms of its own
+    assert.deepEqual(paliWordForms("dhammanam", PARITTA_VOCABULARY), [
+        "dhamma", "dhammam", "dhammanam", "dhammassa", "dhamme", "dhammehi",
+        "dhammena", "dhammesu", "dhammo"
+    ]);
+});
+
+test('only attested forms are kept', () => {
+    assert.deepEqual(paliWordForms("buddho", PARITTA_VOCABULARY), [
+        "buddha", "buddham", "buddhanam", "buddhassa", "buddhe", "buddho"
+    ]);
+});
+
+test('without a vocabulary every form is generated', () => {
+    const forms = paliWordForms("dhammo", null);
+    ["dhammo", "dhammam", "dhammassa", "dhammanam", "dhammesu"].forEach(form => {
+        assert.ok(forms.includes(form), form);
+    });
+});